@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+import fs from 'fs'
+import path from 'path'
+// dist/ is built by "npm run build", npm install and npm pack run it through "prepare"
+import sqlFormatter from '../dist/sql-formatter.esm.js'
+import ConfigResolver from '../lib/ConfigResolver.js'
+import globToRegExp from '../lib/globToRegExp.js'
+
+const USAGE = `Usage: sql-formatter-handle-space [options] [file|glob|-]...
+
+Formats SQL files, or stdin when no file is given or the file is "-".
+
+Modes:
+  --write                  Rewrite the files that are not formatted
+  --check                  List the files that are not formatted, exit with 1 if there are any
+  --diff                   Print the changes formatting would make as a unified diff
+  (none)                   Print the formatted SQL
+
+Options:
+  --language <name>        spark (default), sql, db2, n1ql or pl/sql
+  --indent <string>        Indent value, default is 2 spaces
+  --use-tabs               Indent with a tab
+  --max-line-width <n>     Lines wider than this are wrapped, default is 200
+  --wrap-style <style>     one-per-line (default) or fill
+  --comma-position <pos>   trailing (default), leading or leading-aligned
+  --align-aliases          Line up the AS keywords of column aliases
+  --keyword-case <case>    lower (default), upper or preserve
+  --identifier-case <case> preserve (default), lower or upper
+  --function-case <case>   lower, upper or preserve
+  --comment-spacing <mode> normalize (default) or preserve
+  --trailing-comments <to> same-line (default) or above
+  --keep-comment-blank-lines
+                           Keep blank lines between comments
+  --lines-between-queries <n>
+                           Blank lines between statements, default is 1
+  --preserve-blank-lines <n>
+                           Keep up to n blank lines within statements, default is 0
+  --stdin-filepath <path>  Path of the SQL read from stdin, to find its config
+  -h, --help               Show this help
+
+Options given here take precedence over the ones in the .sqlformatterrc,
+sqlformatter.config.json or "sqlFormatter" key of package.json found above
+each file. Files listed in a .sqlformatterignore are skipped.
+`
+
+// Options of sql-formatter.js that can be given on the command line
+const FORMAT_OPTIONS = {
+    '--language': { name: 'language', type: 'string' },
+    '--indent': { name: 'indent', type: 'string' },
+    '--use-tabs': { name: 'useTabs', type: 'boolean' },
+    '--max-line-width': { name: 'maxLineWidth', type: 'number' },
+    '--wrap-style': { name: 'wrapStyle', type: 'string' },
+    '--comma-position': { name: 'commaPosition', type: 'string' },
+    '--align-aliases': { name: 'alignAliases', type: 'boolean' },
+    '--keyword-case': { name: 'keywordCase', type: 'string' },
+    '--identifier-case': { name: 'identifierCase', type: 'string' },
+    '--function-case': { name: 'functionCase', type: 'string' },
+    '--comment-spacing': { name: 'commentSpacing', type: 'string' },
+    '--trailing-comments': { name: 'trailingComments', type: 'string' },
+    '--keep-comment-blank-lines': {
+        name: 'keepCommentBlankLines',
+        type: 'boolean',
+    },
+    '--lines-between-queries': { name: 'linesBetweenQueries', type: 'number' },
+    '--preserve-blank-lines': { name: 'preserveBlankLines', type: 'number' },
+}
+
+// Options of the command line itself
+const CLI_OPTIONS = {
+    '--stdin-filepath': { name: 'stdinFilepath', type: 'string' },
+}
+
+const MODES = ['--write', '--check', '--diff']
+
+// Directories a glob never looks into
+const IGNORED_DIRECTORIES = ['node_modules', '.git']
+
+// Lines of unchanged text around each change of a diff
+const DIFF_CONTEXT = 3
+// Larger changes are shown as one block instead of being compared line by line
+const DIFF_MAX_COMPARISONS = 4000000
+
+class UsageError extends Error {}
+
+/**
+ * Reads the mode, the format options and the files from the command line arguments.
+ *
+ * @param {String[]} args
+ * @return {Object} {modes, options, patterns, help}
+ */
+const parseArgs = (args) => {
+    const parsed = { modes: [], options: {}, patterns: [], help: false }
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i]
+        if (arg === '--') {
+            parsed.patterns.push(...args.slice(i + 1))
+            break
+        }
+        if (arg === '-h' || arg === '--help') {
+            parsed.help = true
+            continue
+        }
+        if (MODES.includes(arg)) {
+            parsed.modes.push(arg.slice(2))
+            continue
+        }
+        if (!arg.startsWith('--')) {
+            parsed.patterns.push(arg)
+            continue
+        }
+
+        const [flag, inlineValue] = arg.split(/=(.*)/)
+        const option = FORMAT_OPTIONS[flag] || CLI_OPTIONS[flag]
+        if (!option) {
+            throw new UsageError(`Unknown option ${flag}`)
+        }
+        const target = FORMAT_OPTIONS[flag] ? parsed.options : parsed
+        if (option.type === 'boolean') {
+            target[option.name] = inlineValue !== 'false'
+            continue
+        }
+
+        const value = inlineValue !== undefined ? inlineValue : args[++i]
+        if (value === undefined) {
+            throw new UsageError(`Option ${flag} needs a value`)
+        }
+        target[option.name] = option.type === 'number' ? Number(value) : value
+    }
+
+    if (parsed.modes.includes('write') && parsed.modes.length > 1) {
+        throw new UsageError(
+            '--write cannot be combined with --check or --diff'
+        )
+    }
+    return parsed
+}
+
+// Files under a directory, as slash separated paths relative to it
+const listFiles = (directory, relative = '') => {
+    const files = []
+    fs.readdirSync(path.join(directory, relative), {
+        withFileTypes: true,
+    }).forEach((entry) => {
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+                files.push(...listFiles(directory, entryPath))
+            }
+        } else if (entry.isFile()) {
+            files.push(entryPath)
+        }
+    })
+    return files
+}
+
+/**
+ * Expands the file and glob arguments into a sorted list of files.
+ *
+ * @param {String[]} patterns
+ * @return {String[]} files
+ */
+const expandPatterns = (patterns) => {
+    const files = new Set()
+
+    patterns.forEach((pattern) => {
+        const segments = pattern.split(/[\\/]/)
+        const globIndex = segments.findIndex((segment) => /[*?{]/.test(segment))
+        if (globIndex === -1) {
+            if (!fs.existsSync(pattern)) {
+                throw new UsageError(`No such file: ${pattern}`)
+            }
+            files.add(pattern)
+            return
+        }
+
+        const base = segments.slice(0, globIndex).join('/') || '.'
+        const matcher = globToRegExp(segments.slice(globIndex).join('/'))
+        const matches = fs.existsSync(base)
+            ? listFiles(base).filter((file) => matcher.test(file))
+            : []
+        if (matches.length === 0) {
+            throw new UsageError(`No files match ${pattern}`)
+        }
+        matches.forEach((file) =>
+            files.add(base === '.' ? file : `${base}/${file}`)
+        )
+    })
+
+    return Array.from(files).sort()
+}
+
+// Formatted text ends with a newline, like files usually do
+const formatText = (text, options) => {
+    const formatted = sqlFormatter.format(text, options)
+    return formatted ? formatted + '\n' : ''
+}
+
+/**
+ * Creates a unified diff of two texts.
+ *
+ * @param {String} name File name shown in the diff header
+ * @param {String} before
+ * @param {String} after
+ * @return {String} diff
+ */
+const createDiff = (name, before, after) => {
+    const a = toLines(before)
+    const b = toLines(after)
+
+    // Unchanged lines at the start and the end need no comparison
+    let head = 0
+    while (head < a.length && head < b.length && a[head] === b[head]) {
+        head++
+    }
+    let tail = 0
+    while (
+        tail < a.length - head &&
+        tail < b.length - head &&
+        a[a.length - 1 - tail] === b[b.length - 1 - tail]
+    ) {
+        tail++
+    }
+    const middle = diffLines(
+        a.slice(head, a.length - tail),
+        b.slice(head, b.length - tail)
+    )
+    const lines = a
+        .slice(0, head)
+        .map((line) => ({ type: ' ', line }))
+        .concat(middle)
+        .concat(a.slice(a.length - tail).map((line) => ({ type: ' ', line })))
+
+    return (
+        `--- ${name}\n+++ ${name}\n` +
+        createHunks(lines)
+            .map((hunk) => hunk + '\n')
+            .join('')
+    )
+}
+
+const toLines = (text) => (text ? text.replace(/\n$/, '').split('\n') : [])
+
+// Removed, added and unchanged lines between a and b, from their longest common subsequence
+const diffLines = (a, b) => {
+    if (a.length * b.length > DIFF_MAX_COMPARISONS) {
+        return a
+            .map((line) => ({ type: '-', line }))
+            .concat(b.map((line) => ({ type: '+', line })))
+    }
+
+    const lengths = a.map(() => new Array(b.length + 1).fill(0))
+    lengths.push(new Array(b.length + 1).fill(0))
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] =
+                a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+        }
+    }
+
+    const lines = []
+    let i = 0
+    let j = 0
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: ' ', line: a[i++] })
+            j++
+        } else if (
+            i < a.length &&
+            (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])
+        ) {
+            lines.push({ type: '-', line: a[i++] })
+        } else {
+            lines.push({ type: '+', line: b[j++] })
+        }
+    }
+    return lines
+}
+
+// Groups the changed lines with their context into "@@ -a,b +c,d @@" hunks
+const createHunks = (lines) => {
+    const changes = []
+    lines.forEach((l, i) => {
+        if (l.type !== ' ') {
+            changes.push(i)
+        }
+    })
+
+    // Changes closer than twice the context share a hunk
+    const ranges = []
+    changes.forEach((change) => {
+        const range = ranges[ranges.length - 1]
+        if (range && change - range.last <= DIFF_CONTEXT * 2) {
+            range.last = change
+        } else {
+            ranges.push({ first: change, last: change })
+        }
+    })
+
+    const count = (list, type) => list.filter((l) => l.type !== type).length
+    return ranges.map(({ first, last }) => {
+        const start = Math.max(first - DIFF_CONTEXT, 0)
+        const end = Math.min(last + 1 + DIFF_CONTEXT, lines.length)
+        const before = lines.slice(0, start)
+        const hunk = lines.slice(start, end)
+
+        const oldRange = `${count(before, '+') + 1},${count(hunk, '+')}`
+        const newRange = `${count(before, '-') + 1},${count(hunk, '-')}`
+        return (
+            `@@ -${oldRange} +${newRange} @@\n` +
+            hunk.map((l) => l.type + l.line).join('\n')
+        )
+    })
+}
+
+const readStdin = () =>
+    new Promise((resolve, reject) => {
+        let text = ''
+        process.stdin.setEncoding('utf8')
+        process.stdin.on('data', (chunk) => (text += chunk))
+        process.stdin.on('end', () => resolve(text))
+        process.stdin.on('error', reject)
+    })
+
+/**
+ * Formats one source in the given modes.
+ *
+ * @param {String} name File name, or "-" for stdin
+ * @param {String} text
+ * @param {Object} args Parsed command line arguments
+ * @param {Object} options Format options of the source
+ * @return {Boolean} true when the source is formatted already
+ */
+const processSource = (name, text, args, options) => {
+    const formatted = formatText(text, options)
+    const isFormatted = formatted === text
+
+    if (args.modes.length === 0) {
+        process.stdout.write(formatted)
+    }
+    if (args.modes.includes('write') && !isFormatted) {
+        fs.writeFileSync(name, formatted)
+        process.stdout.write(`Formatted ${name}\n`)
+    }
+    if (args.modes.includes('diff') && !isFormatted) {
+        process.stdout.write(createDiff(name, text, formatted))
+    }
+    if (args.modes.includes('check') && !isFormatted) {
+        process.stderr.write(`Not formatted: ${name}\n`)
+    }
+    return isFormatted
+}
+
+const main = async (argv) => {
+    const args = parseArgs(argv)
+    if (args.help) {
+        process.stdout.write(USAGE)
+        return 0
+    }
+
+    const useStdin =
+        args.patterns.length === 0 ||
+        (args.patterns.length === 1 && args.patterns[0] === '-')
+    if (useStdin && args.modes.includes('write')) {
+        throw new UsageError('--write needs files')
+    }
+
+    const resolver = new ConfigResolver()
+    // Without a path the SQL from stdin gets the config of the current directory
+    const stdinPath = args.stdinFilepath || path.join(process.cwd(), '-')
+    const sources = useStdin
+        ? [{ name: '-', path: stdinPath, read: readStdin }]
+        : expandPatterns(args.patterns).map((file) => ({
+              name: file,
+              path: file,
+              read: async () => fs.readFileSync(file, 'utf8'),
+          }))
+
+    let checked = 0
+    let unformatted = 0
+    let failed = 0
+    for (const source of sources) {
+        try {
+            const text = await source.read()
+            if (resolver.isIgnored(source.path)) {
+                // Ignored SQL from stdin is passed through unchanged
+                if (useStdin && args.modes.length === 0) {
+                    process.stdout.write(text)
+                }
+                continue
+            }
+            const options = resolver.getOptions(source.path, args.options)
+            checked++
+            if (!processSource(source.name, text, args, options)) {
+                unformatted++
+            }
+        } catch (e) {
+            failed++
+            process.stderr.write(`${source.name}: ${e.message}\n`)
+        }
+    }
+
+    if (failed > 0) {
+        return 2
+    }
+    if (args.modes.includes('check') && unformatted > 0) {
+        process.stderr.write(
+            `${unformatted} of ${checked} files are not formatted\n`
+        )
+        return 1
+    }
+    return 0
+}
+
+main(process.argv.slice(2)).then(
+    (code) => {
+        process.exitCode = code
+    },
+    (e) => {
+        process.stderr.write(
+            e instanceof UsageError
+                ? `${e.message}\nRun sql-formatter-handle-space --help for usage\n`
+                : `${e.stack}\n`
+        )
+        process.exitCode = 2
+    }
+)
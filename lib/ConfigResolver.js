@@ -0,0 +1,228 @@
+import fs from 'fs'
+import path from 'path'
+import globToRegExp from './globToRegExp.js'
+
+// Config files in the order they are looked for in each directory
+const CONFIG_FILES = ['.sqlformatterrc', 'sqlformatter.config.json']
+// Key of the config in package.json
+const PACKAGE_JSON_KEY = 'sqlFormatter'
+const IGNORE_FILE = '.sqlformatterignore'
+
+/**
+ * Finds the options of a file in the config files above it, for Node.js.
+ *
+ * A config is a JSON object with format options, like in .sqlformatterrc:
+ *
+ *     {
+ *         "keywordCase": "upper",
+ *         "languages": { "db2": { "indent": "    " } },
+ *         "overrides": [{ "files": ["jobs/**\/*.sql"], "options": { "maxLineWidth": 120 } }]
+ *     }
+ *
+ * The options of "languages" apply to queries of that language, the ones of "overrides"
+ * apply to files matching one of the globs, relative to the config file.
+ * Paths listed in a .sqlformatterignore, with the syntax of .gitignore, are not formatted.
+ *
+ * Files are read once per resolver, create a new one to see changes.
+ */
+export default class ConfigResolver {
+    constructor() {
+        this.configs = new Map()
+        this.ignores = new Map()
+    }
+
+    /**
+     * Returns the options for a file, its config merged with the given options.
+     *
+     * @param {String} filePath File to format, need not exist
+     * @param {Object} options Options that take precedence over the config
+     * @return {Object} options for format()
+     */
+    getOptions(filePath, options = {}) {
+        const found = this.findConfig(path.dirname(path.resolve(filePath)))
+        if (!found) {
+            return Object.assign({}, options)
+        }
+
+        const { config, directory } = found
+        const relativePath = toSlashes(
+            path.relative(directory, path.resolve(filePath))
+        )
+        const { languages = {}, overrides = [], ...base } = config
+        const matching = overrides
+            .filter(({ files }) =>
+                files.some((glob) => globToRegExp(glob).test(relativePath))
+            )
+            .map((override) => override.options)
+
+        const language = Object.assign({}, base, ...matching, options).language
+        return mergeOptions([
+            base,
+            languages[language || 'spark'],
+            ...matching,
+            options,
+        ])
+    }
+
+    /**
+     * Tells whether a file is listed in the nearest .sqlformatterignore above it.
+     *
+     * @param {String} filePath
+     * @return {Boolean}
+     */
+    isIgnored(filePath) {
+        const absolutePath = path.resolve(filePath)
+        const found = this.findIgnore(path.dirname(absolutePath))
+        if (!found) {
+            return false
+        }
+
+        const segments = toSlashes(
+            path.relative(found.directory, absolutePath)
+        ).split('/')
+        // The file and each directory it is in, like "a", "a/b" and "a/b/c.sql"
+        const paths = segments.map((_, i) => segments.slice(0, i + 1).join('/'))
+
+        let ignored = false
+        found.rules.forEach((rule) => {
+            const candidates = rule.directoryOnly ? paths.slice(0, -1) : paths
+            const isMatch = candidates.some((candidate) =>
+                rule.matcher.test(
+                    rule.anchored ? candidate : path.posix.basename(candidate)
+                )
+            )
+            if (isMatch) {
+                ignored = !rule.negated
+            }
+        })
+        return ignored
+    }
+
+    // Nearest config at or above directory, with the directory it was found in
+    findConfig(directory) {
+        if (!this.configs.has(directory)) {
+            const parent = path.dirname(directory)
+            this.configs.set(
+                directory,
+                this.readConfig(directory) ||
+                    (parent !== directory ? this.findConfig(parent) : null)
+            )
+        }
+        return this.configs.get(directory)
+    }
+
+    readConfig(directory) {
+        for (const name of CONFIG_FILES) {
+            const file = path.join(directory, name)
+            if (fs.existsSync(file)) {
+                return {
+                    config: validateConfig(readJson(file), file),
+                    directory,
+                }
+            }
+        }
+
+        const packageFile = path.join(directory, 'package.json')
+        if (fs.existsSync(packageFile)) {
+            const config = readJson(packageFile)[PACKAGE_JSON_KEY]
+            if (config !== undefined) {
+                return {
+                    config: validateConfig(config, packageFile),
+                    directory,
+                }
+            }
+        }
+        return null
+    }
+
+    // Nearest ignore file at or above directory, with its rules
+    findIgnore(directory) {
+        if (!this.ignores.has(directory)) {
+            const file = path.join(directory, IGNORE_FILE)
+            const parent = path.dirname(directory)
+            this.ignores.set(
+                directory,
+                fs.existsSync(file)
+                    ? { rules: readIgnoreRules(file), directory }
+                    : parent !== directory
+                    ? this.findIgnore(parent)
+                    : null
+            )
+        }
+        return this.ignores.get(directory)
+    }
+}
+
+const toSlashes = (filePath) => filePath.split(path.sep).join('/')
+
+const readJson = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (e) {
+        throw new Error(`Invalid config ${file}: ${e.message}`)
+    }
+}
+
+// Later layers win. "indent" and "useTabs" cannot be combined,
+// a layer with one of them replaces both of the layers before it
+const mergeOptions = (layers) =>
+    layers.reduce((merged, layer = {}) => {
+        if (layer.indent !== undefined || layer.useTabs !== undefined) {
+            delete merged.indent
+            delete merged.useTabs
+        }
+        return Object.assign(merged, layer)
+    }, {})
+
+// Checks the parts of a config that are not format options, format() checks the rest
+const validateConfig = (config, file) => {
+    const isObject = (value) =>
+        typeof value === 'object' && value !== null && !Array.isArray(value)
+    const fail = (message) => {
+        throw new Error(`Invalid config ${file}: ${message}`)
+    }
+
+    if (!isObject(config)) {
+        fail('expected an object')
+    }
+    if (config.languages !== undefined && !isObject(config.languages)) {
+        fail('"languages" must be an object of options by language')
+    }
+    if (config.overrides !== undefined) {
+        if (!Array.isArray(config.overrides)) {
+            fail('"overrides" must be an array')
+        }
+        config.overrides.forEach((override, i) => {
+            if (
+                !isObject(override) ||
+                !Array.isArray(override.files) ||
+                !isObject(override.options)
+            ) {
+                fail(`overrides[${i}] must have "files" globs and "options"`)
+            }
+        })
+    }
+    return config
+}
+
+// Lines of a .gitignore styled file turned into rules, later rules win
+const readIgnoreRules = (file) =>
+    fs
+        .readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith('#'))
+        .map((line) => {
+            const negated = line.startsWith('!')
+            let pattern = negated ? line.slice(1) : line
+            const directoryOnly = pattern.endsWith('/')
+            pattern = pattern.replace(/\/+$/, '')
+            // A pattern with a slash is relative to the ignore file, other ones match names at any depth
+            const anchored = pattern.includes('/')
+            return {
+                matcher: globToRegExp(pattern.replace(/^\//, '')),
+                negated,
+                directoryOnly,
+                anchored,
+            }
+        })
@@ -0,0 +1,36 @@
+/**
+ * Turns a glob into a regular expression for slash separated relative paths.
+ * Supports *, ** (any number of directories), ? and {a,b}.
+ *
+ * @param {String} glob
+ * @return {RegExp}
+ */
+export default function globToRegExp(glob) {
+    let source = ''
+    let braces = 0
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i]
+        if (glob.startsWith('**/', i)) {
+            source += '(?:.*/)?'
+            i += 2
+        } else if (glob.startsWith('**', i)) {
+            source += '.*'
+            i += 1
+        } else if (char === '*') {
+            source += '[^/]*'
+        } else if (char === '?') {
+            source += '[^/]'
+        } else if (char === '{') {
+            source += '(?:'
+            braces++
+        } else if (char === '}' && braces > 0) {
+            source += ')'
+            braces--
+        } else if (char === ',' && braces > 0) {
+            source += '|'
+        } else {
+            source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&')
+        }
+    }
+    return new RegExp(`^${source}$`)
+}
@@ -0,0 +1,38 @@
+import sqlFormatter from '../dist/sql-formatter.esm.js'
+import ConfigResolver from './ConfigResolver.js'
+
+/**
+ * Entry point for Node.js, the API of sql-formatter plus the project config files:
+ *
+ *     import sqlFormatter from 'sql-formatter-handle-space/lib/node.js'
+ *
+ *     if (!sqlFormatter.isIgnored(file)) {
+ *         const options = sqlFormatter.resolveConfig(file, { keywordCase: 'upper' })
+ *         sqlFormatter.format(fs.readFileSync(file, 'utf8'), options)
+ *     }
+ *
+ * Both functions read the config files again on each call,
+ * a ConfigResolver reads them once for all the files it is given.
+ */
+export default Object.assign({}, sqlFormatter, {
+    /**
+     * Returns the options for a file from the .sqlformatterrc, sqlformatter.config.json
+     * or package.json above it, merged with the given options.
+     *
+     * @param {String} filePath File to format, need not exist
+     * @param {Object} options Options that take precedence over the config
+     * @return {Object} options for format()
+     */
+    resolveConfig: (filePath, options) =>
+        new ConfigResolver().getOptions(filePath, options),
+
+    /**
+     * Tells whether a file is listed in the nearest .sqlformatterignore above it.
+     *
+     * @param {String} filePath
+     * @return {Boolean}
+     */
+    isIgnored: (filePath) => new ConfigResolver().isIgnored(filePath),
+
+    ConfigResolver,
+})
@@ -1,25 +1,56 @@
 import trimEnd from 'lodash/trimEnd'
+import last from 'lodash/last'
+import repeat from 'lodash/repeat'
 import tokenTypes from './tokenTypes'
 import Indentation from './Indentation'
 import InlineBlock from './InlineBlock'
+import LineWrapper from './LineWrapper'
 import Params from './Params'
+import SafetyCheck from './SafetyCheck'
+import Variables from './Variables'
+import getPragma from './pragma'
+
+const PAREN_BLOCK = 'block'
+const PAREN_SUBQUERY = 'subquery'
+const PAREN_CTE_BODY = 'cte-body'
+const PAREN_WINDOW_SPEC = 'window-spec'
+
+const DEFAULT_LINES_BETWEEN_QUERIES = 1
 
 export default class Formatter {
     /**
      * @param {Object} cfg
      *   @param {Object} cfg.indent
      *   @param {Object} cfg.params
+     *   The other options are the ones of format() in sql-formatter.js, checked by normalizeOptions
      * @param {Tokenizer} tokenizer
      */
     constructor(cfg, tokenizer) {
         this.cfg = cfg || {}
-        this.indentation = new Indentation(this.cfg.indent)
-        this.inlineBlock = new InlineBlock()
-        this.params = new Params(this.cfg.params)
         this.tokenizer = tokenizer
+        this.resetState()
+    }
+
+    // Everything a format call changes starts over, so the formatter can be used again
+    resetState() {
+        this.indentation = new Indentation(this.cfg.indent)
+        this.inlineBlock = new InlineBlock(this.cfg.maxLineWidth)
+        this.params = new Params(this.cfg.params, this.cfg.strictParams)
+        this.variables = new Variables(this.cfg.variables)
         this.previousReservedWord = {}
+        // 每个未闭合的括号: 普通块或者 with 子句里的 CTE 主体
+        this.parens = []
+        // 每个 with 子句所在的括号层级
+        this.withClauses = []
+        // window w as (...) 子句所在的括号层级
+        this.windowClause = null
+        // 每个 select 字段列表里 as 关键字的位置, 用于对齐别名
+        this.aliasGroups = []
         this.tokens = []
         this.index = 0
+        // 原样输出的区域里最后一个 token 的下标
+        this.verbatimEnd = -1
+        this.pendingComments = []
     }
 
     /**
@@ -29,12 +60,69 @@ export default class Formatter {
      * @return {String} formatted query
      */
     format(query) {
+        this.resetState()
+        this.query = query
         // 将整段sql中所有的单词、符号、换行符全部拿出来 变成一个对象数组 对象里面有两个字段 type 和 value
-        this.tokens = this.tokenizer.tokenize(query)
+        this.tokens = this.orderCommentsAndCommas(
+            this.tokenizer.tokenize(query)
+        )
 
         const formattedQuery = this.getFormattedQueryFromTokens()
 
-        return formattedQuery.trim()
+        const wrappedQuery = new LineWrapper(this.cfg, this.tokenizer).wrap(
+            formattedQuery.trim()
+        )
+        if (this.cfg.safetyCheck) {
+            new SafetyCheck(this.cfg, this.tokenizer).verify(
+                query,
+                wrappedQuery
+            )
+        }
+        return wrappedQuery
+    }
+
+    // 行注释后面紧跟逗号时 把逗号移到这些注释前面.
+    // 前置逗号风格反过来: 逗号后面同一行的行注释属于前一个字段, 移到逗号前面.
+    // Returns a reordered copy, the tokens themselves are not changed
+    orderCommentsAndCommas(tokens) {
+        const ordered = tokens.slice()
+        // sql-formatter-off 之类的注释不能移动
+        const isMovable = (token) =>
+            token.type === tokenTypes.LINE_COMMENT && !getPragma(token)
+
+        ordered.forEach((token, index) => {
+            // Positions of the comment, the comments right after it and the token after them
+            const positions = [index]
+            let i = index + 1
+            while (i < ordered.length) {
+                if (ordered[i].type !== tokenTypes.WHITESPACE) {
+                    positions.push(i)
+                    if (this.isLeadingComma() || !isMovable(ordered[i])) {
+                        break
+                    }
+                }
+                i++
+            }
+            const follow = ordered[last(positions)] || {}
+
+            if (this.isLeadingComma()) {
+                const isSameLine = !ordered
+                    .slice(index + 1, last(positions))
+                    .some((t) => t.value.includes('\n'))
+                if (token.value === ',' && isMovable(follow) && isSameLine) {
+                    ordered[index] = follow
+                    ordered[last(positions)] = token
+                }
+            } else if (isMovable(token) && follow.value === ',') {
+                // The comma goes first, the comments keep their order
+                const moved = positions.map((position) => ordered[position])
+                moved.unshift(moved.pop())
+                positions.forEach((position, n) => {
+                    ordered[position] = moved[n]
+                })
+            }
+        })
+        return ordered
     }
 
     getFormattedQueryFromTokens() {
@@ -42,30 +130,70 @@ export default class Formatter {
 
         this.tokens.forEach((token, index) => {
             this.index = index
-            if (token.type === tokenTypes.WHITESPACE) {
+            if (index <= this.verbatimEnd) {
+                return
+            }
+            formattedQuery = this.alignEndedAliasGroups(token, formattedQuery)
+            const previousQuery = formattedQuery
+            if (
+                getPragma(token) === 'off' ||
+                getPragma(token) === 'ignore-next'
+            ) {
+                // 处理 sql-formatter-off 和 sql-formatter-ignore-next
+                formattedQuery = this.formatVerbatimRegion(
+                    token,
+                    formattedQuery
+                )
+            } else if (token.type === tokenTypes.WHITESPACE) {
                 // 处理换行符 或者空格
                 // ignore (we do our own whitespace formatting)
+                // add jar 和 set 语句没有分号时在行尾结束
+                if (token.value.includes('\n')) {
+                    this.indentation.setWhiteSpace(true)
+                }
             } else if (token.type === tokenTypes.LINE_COMMENT) {
                 formattedQuery = this.formatLineComment(token, formattedQuery)
                 // formattedQuery = this.formatWithSpaces(token, formattedQuery);
             } else if (token.type === tokenTypes.BLOCK_COMMENT) {
                 formattedQuery = this.formatBlockComment(token, formattedQuery)
+            } else if (token.type === tokenTypes.HINT) {
+                // 处理 /*+ ... */ 优化器提示
+                formattedQuery = this.formatHint(token, formattedQuery)
+            } else if (
+                last(this.parens) === PAREN_WINDOW_SPEC &&
+                (token.type === tokenTypes.RESERVED_TOPLEVEL ||
+                    token.type === tokenTypes.RESERVED_NEWLINE ||
+                    token.type === tokenTypes.RESERVED)
+            ) {
+                // 处理 over (partition by ... order by ...) 窗口定义
+                formattedQuery = this.formatWindowSpecWord(
+                    token,
+                    formattedQuery
+                )
+                this.previousReservedWord = token
             } else if (token.type === tokenTypes.RESERVED_TOPLEVEL) {
                 // 处理 select 字段
                 formattedQuery = this.formatToplevelReservedWord(
                     token,
                     formattedQuery
                 )
+                if (this.cfg.alignAliases && /^SELECT\b/i.test(token.value)) {
+                    this.aliasGroups.push({
+                        level: this.parens.length,
+                        positions: [],
+                    })
+                }
                 this.previousReservedWord = token
             } else if (token.type === tokenTypes.RESERVED_NEWLINE) {
                 formattedQuery = this.formatNewlineReservedWord(
                     token,
                     formattedQuery
                 )
-                // 处理 add jar 或者 set xxx 做的兼容
+                // 处理 add jar 或者 set xxx 做的兼容, 只限语句开头的, update t set a = 1 照常格式化
                 if (
-                    /^ADD JAR/i.test(token.value) ||
-                    /^SET/i.test(token.value)
+                    (/^ADD JAR/i.test(token.value) ||
+                        /^SET/i.test(token.value)) &&
+                    this.isStatementStart()
                 ) {
                     this.indentation.setWhiteSpace(false)
                 }
@@ -79,11 +207,32 @@ export default class Formatter {
             } else if (token.type === tokenTypes.UNION_WORDS) {
                 formattedQuery = this.formatUnionWords(token, formattedQuery)
                 this.previousReservedWord = token
+            } else if (
+                token.type === tokenTypes.RESERVED &&
+                this.isWithClause(token)
+            ) {
+                // 处理 with a as (...) 公共表表达式
+                formattedQuery = this.formatWithClause(token, formattedQuery)
+                this.previousReservedWord = token
+            } else if (
+                token.type === tokenTypes.RESERVED &&
+                this.isWindowClause(token)
+            ) {
+                // 处理 window w as (...) 命名窗口
+                formattedQuery = this.formatToplevelInLineReservedWord(
+                    token,
+                    formattedQuery
+                )
+                this.windowClause = this.parens.length
+                this.previousReservedWord = token
             } else if (token.type === tokenTypes.RESERVED) {
                 if (/^BETWEEN/i.test(token.value)) {
                     this.indentation.setNoNewLine()
                 }
                 formattedQuery = this.formaReserverdWords(token, formattedQuery)
+                if (/^AS$/i.test(token.value)) {
+                    this.addAliasPosition(formattedQuery)
+                }
                 this.previousReservedWord = token
             } else if (token.type === tokenTypes.OPEN_PAREN) {
                 // 处理 左括号
@@ -99,6 +248,16 @@ export default class Formatter {
                 )
             } else if (token.type === tokenTypes.PLACEHOLDER) {
                 formattedQuery = this.formatPlaceholder(token, formattedQuery)
+            } else if (token.type === tokenTypes.TEMPLATE_VARIABLE) {
+                // 处理 ${var} ${hiveconf:var} 变量
+                formattedQuery = this.formatTemplateVariable(
+                    token,
+                    formattedQuery
+                )
+            } else if (token.type === tokenTypes.STRING) {
+                formattedQuery = this.formatString(token, formattedQuery)
+            } else if (token.type === tokenTypes.WORD) {
+                formattedQuery = this.formatWord(token, formattedQuery)
             } else if (token.value === ',') {
                 // 处理逗号
                 formattedQuery = this.formatComma(token, formattedQuery)
@@ -108,112 +267,314 @@ export default class Formatter {
             } else if (token.value === '.') {
                 // 处理 点
                 formattedQuery = this.formatWithoutSpaces(token, formattedQuery)
-            } else if (token.value === '$') {
-                // 处理 $
-                formattedQuery = this.formatWithoutSpaces(token, formattedQuery)
-            } else if (token.value === '{') {
-                // 处理 {
-                formattedQuery = this.formatWithoutSpaces(token, formattedQuery)
-            } else if (token.value === '}') {
-                // 处理 }
-                formattedQuery = this.formatWithoutSpaces(token, formattedQuery)
             } else if (token.value === ';') {
                 // 处理分号
-                this.indentation.setWhiteSpace(true)
                 formattedQuery = this.endCodeBlock(token, formattedQuery)
             } else {
                 formattedQuery = this.formatWithSpaces(token, formattedQuery)
             }
+            // 移到上面的行注释自己处理前面的空行
+            const isMovedComment =
+                token.type === tokenTypes.LINE_COMMENT &&
+                this.cfg.trailingComments === 'above'
+            if (token.type !== tokenTypes.WHITESPACE && !isMovedComment) {
+                formattedQuery =
+                    this.pendingComments.length > 0
+                        ? this.addPendingComments(previousQuery, formattedQuery)
+                        : this.preserveBlankLines(previousQuery, formattedQuery)
+            }
         })
-        return formattedQuery
+        if (this.pendingComments.length > 0) {
+            formattedQuery =
+                trimEnd(formattedQuery) +
+                '\n' +
+                this.pendingComments.map(trimEnd).join('\n')
+        }
+        return this.alignAliases(formattedQuery, 0)
     }
     // 处理行注释
     formatLineComment(token, query) {
-        const follow = this.followNonWhitespaceTokenIndex()
-        if (follow.token.value === ',') {
-            const commaToken = this.tokens[follow.index]
-            this.tokens[follow.index] = token
-            this.tokens[this.index] = commaToken
-            return this.formatComma(commaToken, query)
-        }
-
-        // 给获取过来的每一行行注释 从下标2开始添加空格
-        const value = token.value
-        token.value = value.split('')
-        // 先判断第三个是不是空格
-        if (token.value[2] === ' ') {
-            token.value = token.value.join('')
-        } else {
-            token.value.splice(2, 0, ' ')
-            token.value = token.value.join('')
-        }
+        const value = this.formatCommentSpacing(token.value)
 
         if (this.previousNonWhitespaceToken().type === tokenTypes.UNION_WORDS) {
-            query = trimEnd(query) + ' ' + token.value
+            query = trimEnd(query) + ' ' + value
             this.indentation.setNoTrimEnd()
             return query
+        } else if (this.cfg.trailingComments === 'above') {
+            return this.formatCommentAbove(value, query)
         } else if (
             this.previousNonWhitespaceToken().value !== ';' &&
-            this.previousNonWhitespaceToken().type !== tokenTypes.LINE_COMMENT
+            this.previousNonWhitespaceToken().type !==
+                tokenTypes.LINE_COMMENT &&
+            !this.isOwnLineComment()
         ) {
-            return trimEnd(query) + ' ' + this.addNewline(token.value)
+            return trimEnd(query) + ' ' + this.addNewline(value)
         } else {
-            return this.addNewline(query) + this.addNewline(token.value)
+            return (
+                this.addNewline(this.keepCommentBlankLine(query)) +
+                this.addNewline(value)
+            )
         }
     }
 
     formatBlockComment(token, query) {
-        // 给获取过来的每一行行注释 从下标2开始添加空格
-        const value = token.value
-        token.value = value.split('')
-        // 先判断第三个是不是空格
-        if (token.value[2] === ' ') {
-            token.value = token.value.join('')
-        } else {
-            token.value.splice(2, 0, ' ')
-            token.value = token.value.join('')
-        }
+        const value = this.formatCommentSpacing(token.value)
         return this.addNewline(
-            this.addNewline(query) + this.indentComment(token.value)
+            this.addNewline(this.keepCommentBlankLine(query)) +
+                (this.cfg.commentSpacing === 'preserve'
+                    ? value
+                    : this.indentComment(value))
+        )
+    }
+
+    // 注释标记后面加一个空格, 像 "#!" "--+" "----" 这样后面跟着符号的标记和横幅不变
+    formatCommentSpacing(comment) {
+        if (this.cfg.commentSpacing === 'preserve') {
+            return comment
+        }
+        const marker = comment.match(/^(--|\/\*|.)/)[0]
+        const next = comment.charAt(marker.length)
+        if (!next || /[\s!-/:-@[-`{-~]/.test(next)) {
+            return comment
+        }
+        return marker + ' ' + comment.slice(marker.length)
+    }
+
+    // With cfg.trailingComments "above" a comment after code goes on its own line above that code,
+    // a comment on its own line waits for the next code and goes above the line it is on
+    formatCommentAbove(comment, query) {
+        if (!this.isOwnLineComment()) {
+            return this.addCommentsAbove(
+                [comment],
+                query,
+                trimEnd(query).lastIndexOf('\n') + 1
+            )
+        }
+        // Blank lines before the comment wait along with it
+        const blankLines = Math.max(
+            this.hasBlankLineBefore() ? 1 : 0,
+            this.getKeptBlankLines()
+        )
+        this.pendingComments.push(...new Array(blankLines).fill(''), comment)
+        return query
+    }
+
+    // Whether the comment starts its own line in the query.
+    // Commas may have been moved around the comment, so the line is looked up in the query
+    isOwnLineComment() {
+        const token = this.tokens[this.index]
+        return /(^|\n)[ \t]*$/.test(this.query.slice(0, token.start))
+    }
+
+    // Adds the waiting comments above the line where the last token went,
+    // the blank lines kept before that token go between them
+    addPendingComments(previousQuery, query) {
+        const line = this.findTokenLine(previousQuery, query)
+        if (!line) {
+            return query
+        }
+        const blankLines = line.isStart ? this.getKeptBlankLines() : 0
+        const comments = this.pendingComments.concat(
+            new Array(blankLines).fill('')
+        )
+        this.pendingComments = []
+        return this.addCommentsAbove(comments, query, line.start)
+    }
+
+    // Inserts comments at lineStart with the indentation of the line there, '' is a blank line
+    addCommentsAbove(comments, query, lineStart) {
+        const indent = query.slice(lineStart).match(/^[ \t]*/)[0]
+        const text = comments
+            .map((comment) => (comment ? indent + trimEnd(comment) : ''))
+            .map((line) => line + '\n')
+            .join('')
+        return this.insertText(query, lineStart, text)
+    }
+
+    // With cfg.preserveBlankLines the blank lines before a token that starts a line are kept,
+    // at most that many. Blank lines between statements follow cfg.linesBetweenQueries instead
+    preserveBlankLines(previousQuery, query) {
+        const line = this.findTokenLine(previousQuery, query)
+        if (!line || !line.isStart || line.start === 0) {
+            return query
+        }
+        const blankLines = this.getKeptBlankLines()
+        const currentBlankLines =
+            query
+                .slice(trimEnd(query.slice(0, line.start)).length, line.start)
+                .split('\n').length - 2
+        return blankLines > currentBlankLines
+            ? this.insertText(
+                  query,
+                  line.start,
+                  repeat('\n', blankLines - currentBlankLines)
+              )
+            : query
+    }
+
+    // Start of the line the last token went on, and whether the token starts that line
+    findTokenLine(previousQuery, query) {
+        const start = trimEnd(previousQuery).length
+        const offset = query.slice(start).search(/\S/)
+        if (offset === -1) {
+            return null
+        }
+        const lineStart = query.lastIndexOf('\n', start + offset) + 1
+        return {
+            start: lineStart,
+            isStart: !query.slice(lineStart, start + offset).trim(),
+        }
+    }
+
+    // Blank lines of the query kept before the token with cfg.preserveBlankLines.
+    // The ones on either side of a comma go where the line breaks, before or after it
+    getKeptBlankLines() {
+        const previous = this.previousNonWhitespaceToken()
+        if (!this.cfg.preserveBlankLines || previous.value === ';') {
+            return 0
+        }
+        let blankLines = this.blankLinesBefore()
+        if (this.tokens[this.index].value === ',') {
+            blankLines = Math.max(
+                blankLines,
+                this.blankLinesBefore(
+                    this.followNonWhitespaceTokenIndex().index
+                )
+            )
+        } else if (previous.value === ',') {
+            blankLines = Math.max(
+                blankLines,
+                this.blankLinesBefore(
+                    this.tokens.lastIndexOf(previous, this.index)
+                )
+            )
+        }
+        return Math.min(blankLines, this.cfg.preserveBlankLines)
+    }
+
+    // Inserts text into the query, alias positions after it move along
+    insertText(query, position, text) {
+        this.aliasGroups.forEach((group) => {
+            group.positions = group.positions.map((aliasPosition) =>
+                aliasPosition >= position
+                    ? aliasPosition + text.length
+                    : aliasPosition
+            )
+        })
+        return query.slice(0, position) + text + query.slice(position)
+    }
+
+    // With cfg.keepCommentBlankLines a blank line between two comments stays
+    keepCommentBlankLine(query) {
+        if (!this.hasBlankLineBefore()) {
+            return query
+        }
+        this.indentation.setNoTrimEnd()
+        return trimEnd(query) + '\n'
+    }
+
+    // Whether cfg.keepCommentBlankLines is set and a blank line separates the token from a comment before it
+    hasBlankLineBefore() {
+        const previous = this.previousNonWhitespaceToken()
+        return (
+            this.cfg.keepCommentBlankLines &&
+            (previous.type === tokenTypes.LINE_COMMENT ||
+                previous.type === tokenTypes.BLOCK_COMMENT) &&
+            this.blankLinesBefore() > 0
         )
     }
 
+    // Number of blank lines between a token and the one before it in the query
+    blankLinesBefore(index = this.index) {
+        let whitespace = ''
+        let n = index - 1
+        while (
+            this.tokens[n] &&
+            this.tokens[n].type === tokenTypes.WHITESPACE
+        ) {
+            whitespace = this.tokens[n].value + whitespace
+            n--
+        }
+        // A line comment ends with its newline
+        if ((this.tokens[n] || {}).type === tokenTypes.LINE_COMMENT) {
+            whitespace = '\n' + whitespace
+        }
+        return Math.max(whitespace.split('\n').length - 2, 0)
+    }
+
+    // The lines of a block comment keep their indentation relative to each other,
+    // but not the one they had in the query, so formatting the comment again does not shift it
     indentComment(comment) {
-        return comment.replace(/\n/g, '\n' + this.indentation.getIndent())
+        const [firstLine, ...lines] = comment.split('\n')
+        const indents = lines
+            .filter((line) => line.trim())
+            .map((line) => line.match(/^\s*/)[0].length)
+        const minIndent = Math.min(...indents)
+        // Lines of a " * " styled comment keep their stars under the first one
+        const starIndent = lines.every((line) => /^\s*(\*|$)/.test(line))
+            ? ' '
+            : ''
+
+        return [firstLine]
+            .concat(
+                lines.map((line) =>
+                    line.trim()
+                        ? this.indentation.getIndent() +
+                          starIndent +
+                          trimEnd(line.slice(minIndent))
+                        : ''
+                )
+            )
+            .join('\n')
+    }
+    // Hints only work right after their keyword, like "select /*+ broadcast(t) */",
+    // so they stay on its line as they are
+    formatHint(token, query) {
+        const trimmedQuery = trimEnd(query)
+        const isNewLine = query.slice(trimmedQuery.length).includes('\n')
+        query = trimmedQuery + ' ' + token.value
+        return isNewLine ? this.addNewline(query) : query + ' '
     }
+
     // 处理 select 字段
     formatToplevelReservedWord(token, query) {
+        this.endWithClause()
         this.indentation.decreaseTopLevel()
-        if (this.previousNonWhitespaceToken().type !== tokenTypes.OPEN_PAREN) {
+        if (
+            this.previousNonWhitespaceToken().type !== tokenTypes.OPEN_PAREN ||
+            last(this.parens) === PAREN_CTE_BODY
+        ) {
             query = this.addNewline(query)
         } else {
             query = trimEnd(query) + ' '
         }
         this.indentation.increaseToplevel()
 
-        query += this.equalizeWhitespace(token.value.toLowerCase())
+        query += this.equalizeWhitespace(this.formatKeyword(token.value))
         return this.addNewline(query)
     }
 
     formatToplevelInLineReservedWord(token, query) {
+        this.endWithClause()
         this.indentation.decreaseTopLevel()
 
         query = this.addNewline(query)
 
         this.indentation.increaseToplevel()
 
-        query += this.equalizeWhitespace(token.value.toLowerCase())
+        query += this.equalizeWhitespace(this.formatKeyword(token.value))
         return query + ' '
     }
 
+    // Union words stand on their own line between two blank lines
     formatUnionWords(token, query) {
-        this.indentation.setNoTrimEnd()
-        query = query + '\n' + this.indentation.getIndent()
         this.indentation.decreaseTopLevel()
-        this.indentation.setNoTrimEnd()
-        query = query + '\n' + this.indentation.getIndent()
-
-        query = query + token.value.toLowerCase() + '\n'
+        query =
+            trimEnd(query) +
+            '\n\n' +
+            this.indentation.getIndent() +
+            this.formatKeyword(token.value) +
+            '\n'
         this.indentation.setNoTrimEnd()
 
         return query
@@ -223,16 +584,210 @@ export default class Formatter {
         if (this.indentation.getStartNewLine()) {
             return (
                 this.addNewline(query) +
-                this.equalizeWhitespace(token.value.toLowerCase()) +
+                this.equalizeWhitespace(this.formatKeyword(token.value)) +
                 ' '
             )
         } else {
             return (
-                query + this.equalizeWhitespace(token.value.toLowerCase()) + ' '
+                query +
+                this.equalizeWhitespace(this.formatKeyword(token.value)) +
+                ' '
             )
         }
     }
 
+    // Apply cfg.keywordCase to a reserved word, keywords are lower-cased by default
+    formatKeyword(value) {
+        return this.changeCase(value, this.cfg.keywordCase || 'lower')
+    }
+
+    // Function names follow cfg.functionCase, other words follow cfg.identifierCase
+    // Paths of "add jar" and keys and values of "set" keep their case, HDFS paths are case-sensitive
+    formatWord(token, query) {
+        if (!this.indentation.getWhiteSpace()) {
+            return this.formatWithSpaces(token, query)
+        }
+        const value = this.isFunctionName()
+            ? this.changeCase(token.value, this.cfg.functionCase)
+            : this.changeCase(token.value, this.cfg.identifierCase)
+        return this.formatWithSpaces(Object.assign({}, token, { value }), query)
+    }
+
+    changeCase(value, textCase) {
+        if (textCase === 'upper') {
+            return value.toUpperCase()
+        } else if (textCase === 'lower') {
+            return value.toLowerCase()
+        } else {
+            return value
+        }
+    }
+
+    // A word directly followed by an opening parenthesis is a function call, like "sum(" or "nvl("
+    isFunctionName() {
+        const follow = this.followToken()
+        return follow.type === tokenTypes.OPEN_PAREN && follow.value === '('
+    }
+
+    // WITH starts a new line, the final statement after its CTEs lines up with it
+    formatWithClause(token, query) {
+        this.indentation.decreaseTopLevel()
+        this.withClauses.push(this.parens.length)
+        return this.addNewline(query) + this.formatKeyword(token.value) + ' '
+    }
+
+    // The CTEs end with the first top-level word of the final statement
+    endWithClause() {
+        if (last(this.withClauses) === this.parens.length) {
+            this.withClauses.pop()
+        }
+        if (this.windowClause === this.parens.length) {
+            this.windowClause = null
+        }
+    }
+
+    // True for a WITH that starts CTEs, like "with a as (" or "with a (x, y) as ("
+    isWithClause(token) {
+        if (!/^WITH$/i.test(token.value)) {
+            return false
+        }
+        let follow = this.followNonWhitespaceTokenIndex()
+        if (
+            follow.token.type !== tokenTypes.WORD &&
+            follow.token.type !== tokenTypes.STRING
+        ) {
+            return false
+        }
+        follow = this.followNonWhitespaceTokenIndex(follow.index)
+        if (follow.token.value === '(') {
+            // Skip the column list
+            let level = 0
+            let index = follow.index
+            for (; index < this.tokens.length; index++) {
+                if (this.tokens[index].value === '(') {
+                    level++
+                } else if (this.tokens[index].value === ')') {
+                    level--
+                }
+                if (level === 0) {
+                    break
+                }
+            }
+            follow = this.followNonWhitespaceTokenIndex(index)
+        }
+        if (!/^AS$/i.test(follow.token.value)) {
+            return false
+        }
+        follow = this.followNonWhitespaceTokenIndex(follow.index)
+        return follow.token.value === '('
+    }
+
+    // True for the opening parenthesis of a CTE body, "as (" within a WITH clause
+    isCteBody() {
+        return (
+            last(this.withClauses) === this.parens.length &&
+            this.previousNonWhitespaceToken().type === tokenTypes.RESERVED &&
+            /^AS$/i.test(this.previousNonWhitespaceToken().value)
+        )
+    }
+
+    // True for a WINDOW clause that names window specifications, like "window w as ("
+    isWindowClause(token) {
+        if (!/^WINDOW$/i.test(token.value)) {
+            return false
+        }
+        const follow = this.followNonWhitespaceTokenIndex()
+        return (
+            follow.token.type === tokenTypes.WORD &&
+            /^AS$/i.test(
+                this.followNonWhitespaceTokenIndex(follow.index).token.value
+            )
+        )
+    }
+
+    // True for the opening parenthesis of "over (" or of "as (" within a WINDOW clause
+    isWindowSpec() {
+        const previous = this.previousNonWhitespaceToken()
+        if (previous.type !== tokenTypes.RESERVED) {
+            return false
+        }
+        return (
+            /^OVER$/i.test(previous.value) ||
+            (this.windowClause === this.parens.length &&
+                /^AS$/i.test(previous.value))
+        )
+    }
+
+    // Window specifications stay on one line when they fit,
+    // otherwise each of "partition by", "order by" and the frame starts a line
+    formatWindowSpecWord(token, query) {
+        const value = this.equalizeWhitespace(this.formatKeyword(token.value))
+        if (
+            !this.inlineBlock.isActive() &&
+            /^(PARTITION\s+BY|ORDER\s+BY|ROWS|RANGE)$/i.test(token.value)
+        ) {
+            // Like a SELECT list, the items of a key go one level deeper when they wrap
+            this.indentation.decreaseTopLevel()
+            query = this.addNewline(query) + value + ' '
+            this.indentation.increaseToplevel()
+            return query
+        }
+        if (/[(\s]$/.test(query)) {
+            return query + value + ' '
+        }
+        return query + ' ' + value + ' '
+    }
+
+    // Remembers where the AS of a column alias of the current SELECT list is
+    addAliasPosition(query) {
+        const group = last(this.aliasGroups)
+        if (group && group.level === this.parens.length) {
+            // formaReserverdWords leaves "as " at the end of the query
+            group.positions.push(query.length - 3)
+        }
+    }
+
+    // A SELECT list ends with the next clause, the closing parenthesis around it or a semicolon
+    alignEndedAliasGroups(token, query) {
+        if (
+            token.type === tokenTypes.RESERVED_TOPLEVEL ||
+            token.type === tokenTypes.RESERVED_TOPLEVEL_INLINE ||
+            token.type === tokenTypes.UNION_WORDS ||
+            token.type === tokenTypes.CLOSE_PAREN
+        ) {
+            return this.alignAliases(query, this.parens.length)
+        } else if (token.value === ';') {
+            return this.alignAliases(query, 0)
+        }
+        return query
+    }
+
+    // Pads the expressions of the SELECT lists at or below the parentheses level,
+    // so that their AS keywords line up.
+    // Alignment wins over cfg.maxLineWidth: the padding may make a line wider than that,
+    // LineWrapper leaves it out of the width and keeps it on the lines it does not break
+    alignAliases(query, level) {
+        while (
+            this.aliasGroups.length > 0 &&
+            last(this.aliasGroups).level >= level
+        ) {
+            const { positions } = this.aliasGroups.pop()
+            const columns = positions.map(
+                (position) => position - query.lastIndexOf('\n', position) - 1
+            )
+            const maxColumn = Math.max(...columns)
+
+            // Pad from the end, so the positions before stay valid
+            for (let i = positions.length - 1; i >= 0; i--) {
+                query =
+                    query.slice(0, positions[i]) +
+                    repeat(' ', maxColumn - columns[i]) +
+                    query.slice(positions[i])
+            }
+        }
+        return query
+    }
+
     // Replace any sequence of whitespace characters with single space
     equalizeWhitespace(string) {
         return string.replace(/\s+/g, ' ')
@@ -245,13 +800,46 @@ export default class Formatter {
         //取出前面的空格，除非原始查询中有空格
         //或其他开头括号或行注释
         // 处理左括号
+        if (this.isCteBody()) {
+            // CTE 主体单独换行缩进
+            this.parens.push(PAREN_CTE_BODY)
+            this.indentation.increaseBlockLevel()
+            return this.addNewline(trimEnd(query) + ' ' + token.value)
+        }
+        if (this.isWindowSpec()) {
+            // 命名窗口像 CTE 一样排: 主体缩进一级, 右括号和下一个窗口回到 window 那一层
+            if (this.windowClause === this.parens.length) {
+                this.indentation.decreaseTopLevel()
+            }
+            this.parens.push(PAREN_WINDOW_SPEC)
+            query = trimEnd(query) + ' ' + token.value
+            this.inlineBlock.beginIfPossible(
+                this.tokens,
+                this.index,
+                this.currentColumn(query) - token.value.length,
+                true
+            )
+            if (!this.inlineBlock.isActive()) {
+                this.indentation.increaseBlockLevel()
+                query = this.addNewline(query)
+            }
+            return query
+        }
+        const follow = this.followNonWhitespaceTokenIndex().token
+        this.parens.push(
+            follow.type === tokenTypes.RESERVED_TOPLEVEL ||
+                /^WITH$/i.test(follow.value)
+                ? PAREN_SUBQUERY
+                : PAREN_BLOCK
+        )
         if (
             this.previousNonWhitespaceToken().type ===
                 tokenTypes.RESERVED_TOPLEVEL_INLINE ||
             (this.previousNonWhitespaceToken().value === ',' &&
-                token.value.toLowerCase() === 'case')
+                token.value.toLowerCase() === 'case' &&
+                !this.isLeadingComma())
         ) {
-            query = this.addNewline(query) + token.value
+            query = this.addNewline(query) + this.formatKeyword(token.value)
             this.indentation.increaseBlockLevel()
             return query
         } else {
@@ -263,9 +851,13 @@ export default class Formatter {
             if (!preserveWhitespaceFor.includes(this.previousToken().type)) {
                 query = trimEnd(query)
             }
-            query += token.value
+            query += this.formatKeyword(token.value)
 
-            this.inlineBlock.beginIfPossible(this.tokens, this.index)
+            this.inlineBlock.beginIfPossible(
+                this.tokens,
+                this.index,
+                this.currentColumn(query) - token.value.length
+            )
 
             if (!this.inlineBlock.isActive()) {
                 this.indentation.increaseBlockLevel()
@@ -277,6 +869,10 @@ export default class Formatter {
 
     // Closing parentheses decrease the block indent level
     formatClosingParentheses(token, query) {
+        this.parens.pop()
+        token = Object.assign({}, token, {
+            value: this.formatKeyword(token.value),
+        })
         if (this.inlineBlock.isActive()) {
             this.inlineBlock.end()
             return this.formatWithSpaceAfter(token, query)
@@ -290,26 +886,193 @@ export default class Formatter {
         return query + this.params.get(token) + ' '
     }
 
+    // Variables glued to words, numbers or other variables, like "tbl_${suffix}_daily"
+    // or "${a}${b}", stay glued to them on both sides
+    formatTemplateVariable(token, query) {
+        const gluedTypes = [
+            tokenTypes.WORD,
+            tokenTypes.NUMBER,
+            tokenTypes.TEMPLATE_VARIABLE,
+        ]
+        if (gluedTypes.includes(this.previousToken().type)) {
+            query = trimEnd(query)
+        }
+        query = this.formatWithSpaces(
+            Object.assign({}, token, { value: this.variables.get(token) }),
+            query
+        )
+        return gluedTypes.includes(this.followToken().type)
+            ? trimEnd(query)
+            : query
+    }
+
+    // Hive substitutes variables within strings too, like "partition(dt='${dt}')"
+    formatString(token, query) {
+        return this.formatWithSpaces(
+            Object.assign({}, token, {
+                value: this.variables.replaceInString(token.value),
+            }),
+            query
+        )
+    }
+
     endCodeBlock(token, query) {
-        query = query + token.value + '\n'
+        this.resetStatementState()
+        query =
+            this.trimTrailingWhitespace(query) +
+            token.value +
+            this.getStatementSeparator()
         this.indentation.setNoTrimEnd()
+        return query
+    }
+
+    // Newlines after a semicolon, the next statement adds one more
+    getStatementSeparator() {
+        return repeat(
+            '\n',
+            this.cfg.linesBetweenQueries === undefined
+                ? DEFAULT_LINES_BETWEEN_QUERIES
+                : this.cfg.linesBetweenQueries
+        )
+    }
+
+    // 语句结束后 清空括号 with 子句 和 add jar / set 的空格模式
+    resetStatementState() {
+        this.parens = []
+        this.withClauses = []
+        this.windowClause = null
+        this.indentation.setWhiteSpace(true)
         this.indentation.decreaseBlockLevel()
+    }
+
+    // The region from "-- sql-formatter-off" to "-- sql-formatter-on", or from
+    // "/* sql-formatter-ignore-next */" to the end of the next statement, is copied from the query as it is
+    formatVerbatimRegion(token, query) {
+        const endIndex = this.findVerbatimRegionEnd(token)
+        const regionTokens = this.tokens.slice(this.index, endIndex + 1)
+        const endsStatement = regionTokens.some(
+            (t) => t.type === tokenTypes.OPERATOR && t.value === ';'
+        )
+        if (endsStatement) {
+            query = this.alignAliases(query, 0)
+        }
+
+        // The region keeps its own line and the indentation of that line
+        const lineStart = this.query.lastIndexOf('\n', token.start - 1) + 1
+        const indent = this.query.slice(lineStart, token.start)
+        if (!query.trim()) {
+            query = ''
+        } else if (/^[ \t]*$/.test(indent)) {
+            query = this.addNewline(query).replace(/[ \t]+$/, '') + indent
+        } else {
+            query = trimEnd(query) + ' '
+        }
+        query += this.query.slice(token.start, last(regionTokens).end)
+        this.verbatimEnd = endIndex
+
+        if (endsStatement) {
+            this.resetStatementState()
+        }
+        if (last(regionTokens).value === ';') {
+            query += this.getStatementSeparator()
+            this.indentation.setNoTrimEnd()
+        } else if (last(regionTokens).type === tokenTypes.LINE_COMMENT) {
+            query = this.addNewline(query)
+        }
         return query
     }
 
+    // Index of the last token of a verbatim region, the end of the query when it is not closed
+    findVerbatimRegionEnd(token) {
+        for (let i = this.index + 1; i < this.tokens.length; i++) {
+            const t = this.tokens[i]
+            if (getPragma(token) === 'off' && getPragma(t) === 'on') {
+                return i
+            }
+            if (
+                getPragma(token) === 'ignore-next' &&
+                t.type === tokenTypes.OPERATOR &&
+                t.value === ';'
+            ) {
+                return i
+            }
+        }
+        return this.tokens.length - 1
+    }
+
     // Commas start a new line (unless within inline parentheses or SQL "LIMIT" clause)
     // 处理逗号
     // 逗号开始新的一行（除非在内联括号或SQL“LIMIT”子句中）
     formatComma(token, query) {
-        query = this.trimTrailingWhitespace(query) + token.value + ' '
+        query = this.trimTrailingWhitespace(query)
 
         if (this.inlineBlock.isActive()) {
-            return query
+            return query + token.value + ' '
         } else if (/^LIMIT$/i.test(this.previousReservedWord.value)) {
-            return query
+            return query + token.value + ' '
+        } else if (
+            this.cfg.wrapStyle === 'fill' &&
+            last(this.parens) === PAREN_BLOCK &&
+            this.isNextItemFitting(query + token.value + ' ')
+        ) {
+            return query + token.value + ' '
+        } else if (this.isLeadingComma()) {
+            return this.formatLeadingComma(token, query)
         } else {
-            return this.addNewline(query)
+            return this.addNewline(query + token.value + ' ')
+        }
+    }
+
+    // 前置逗号: 逗号放在下一行的开头
+    formatLeadingComma(token, query) {
+        query = this.addNewline(query)
+        // "leading-aligned" moves the comma into the indentation so the columns line up
+        if (
+            this.cfg.commaPosition === 'leading-aligned' &&
+            / {2}$/.test(query)
+        ) {
+            query = query.slice(0, -2)
         }
+        return query + token.value + ' '
+    }
+
+    isLeadingComma() {
+        return (
+            this.cfg.commaPosition === 'leading' ||
+            this.cfg.commaPosition === 'leading-aligned'
+        )
+    }
+
+    // True when the list item after the current comma still fits on the current line
+    isNextItemFitting(query) {
+        let length = this.currentColumn(query)
+        let level = 0
+
+        for (let i = this.index + 1; i < this.tokens.length; i++) {
+            const token = this.tokens[i]
+            if (token.type === tokenTypes.OPEN_PAREN) {
+                level++
+            } else if (token.type === tokenTypes.CLOSE_PAREN) {
+                if (level === 0) {
+                    break
+                }
+                level--
+            } else if (token.value === ',' && level === 0) {
+                // The comma after the item stays on the line as well
+                length++
+                break
+            } else if (this.inlineBlock.isForbiddenToken(token)) {
+                return false
+            }
+            length +=
+                token.type === tokenTypes.WHITESPACE ? 1 : token.value.length
+        }
+        return length <= this.inlineBlock.maxLineWidth
+    }
+
+    // Length of the last line of the query
+    currentColumn(query) {
+        return query.length - query.lastIndexOf('\n') - 1
     }
 
     formatWithSpaceAfter(token, query) {
@@ -321,22 +1084,23 @@ export default class Formatter {
     }
 
     formaReserverdWords(token, query) {
+        const value =
+            this.cfg.functionCase && this.isFunctionName()
+                ? this.changeCase(token.value, this.cfg.functionCase)
+                : this.formatKeyword(token.value)
         if (this.indentation.getWhiteSpace()) {
-            return query + token.value.toLowerCase() + ' '
+            return query + value + ' '
         } else {
             // 如果关键字 as if 等关键字 前面有空格 就不用加空格了 如果前面没有空格 就需要加一个空格
             if (query.charAt(query.length - 1) === ' ') {
-                return query + token.value.toLowerCase() + ' '
+                return query + value + ' '
             } else {
-                return query + ' ' + token.value.toLowerCase() + ' '
+                return query + ' ' + value + ' '
             }
         }
     }
 
     formatWithSpaces(token, query) {
-        if (token.value === '$' || token.value === '{' || token.value === '}') {
-            console.log(token, query)
-        }
         if (this.indentation.getWhiteSpace()) {
             return query + token.value + ' '
         } else {
@@ -353,15 +1117,47 @@ export default class Formatter {
     }
 
     trimTrailingWhitespace(query) {
-        if (
-            this.previousNonWhitespaceToken().type === tokenTypes.LINE_COMMENT
-        ) {
+        if (this.endsWithLineComment()) {
             return trimEnd(query) + '\n'
         } else {
             return trimEnd(query)
         }
     }
 
+    // Whether the line comment before the token is still at the end of the query,
+    // with cfg.trailingComments "above" only the ones after UNION are
+    endsWithLineComment() {
+        let n = 1
+        while (this.previousToken(n).type === tokenTypes.WHITESPACE) {
+            n++
+        }
+        if (this.previousToken(n).type !== tokenTypes.LINE_COMMENT) {
+            return false
+        }
+        if (this.cfg.trailingComments !== 'above') {
+            return true
+        }
+        do {
+            n++
+        } while (this.previousToken(n).type === tokenTypes.WHITESPACE)
+        return this.previousToken(n).type === tokenTypes.UNION_WORDS
+    }
+
+    // Whether the token is the first of its statement, comments before it aside
+    isStatementStart() {
+        for (let i = this.index - 1; i >= 0; i--) {
+            const type = this.tokens[i].type
+            if (
+                type !== tokenTypes.WHITESPACE &&
+                type !== tokenTypes.LINE_COMMENT &&
+                type !== tokenTypes.BLOCK_COMMENT
+            ) {
+                return this.tokens[i].value === ';'
+            }
+        }
+        return true
+    }
+
     previousNonWhitespaceToken() {
         let n = 1
         while (this.previousToken(n).type === tokenTypes.WHITESPACE) {
@@ -374,15 +1170,15 @@ export default class Formatter {
         return this.tokens[this.index - offset] || {}
     }
 
-    followNonWhitespaceTokenIndex() {
+    followNonWhitespaceTokenIndex(index = this.index) {
         let n = 1
-        while (this.followToken(n).type === tokenTypes.WHITESPACE) {
+        while (this.followToken(n, index).type === tokenTypes.WHITESPACE) {
             n++
         }
-        return { token: this.followToken(n), index: this.index + n }
+        return { token: this.followToken(n, index), index: index + n }
     }
 
-    followToken(offset = 1) {
-        return this.tokens[this.index + offset] || {}
+    followToken(offset = 1, index = this.index) {
+        return this.tokens[index + offset] || {}
     }
 }
@@ -19,12 +19,14 @@ export default class Indentation {
     constructor(indent) {
         this.indent = indent || '  '
         this.indentTypes = []
+        // addNewline trims the trailing whitespace of the query
+        this.toTrimEnd = true
+        // newline reserved words start a new line
+        this.toStartNewLine = true
+        // words are followed by a space, off within "add jar" and "set" statements
+        this.toSetWhiteSpace = true
     }
 
-    // toTrimEnd = true;
-    // toStartNewLine = true;
-    // toSetWhiteSpace = true;
-
     setNoTrimEnd() {
         this.toTrimEnd = false
     }
@@ -1,27 +1,33 @@
 import tokenTypes from "./tokenTypes";
 
-const INLINE_MAX_LENGTH = 200;
+export const DEFAULT_MAX_LINE_WIDTH = 200;
 
 /**
  * Bookkeeper for inline blocks.
  *
- * Inline blocks are parenthized expressions that are shorter than INLINE_MAX_LENGTH.
- * These blocks are formatted on a single line, unlike longer parenthized
+ * Inline blocks are parenthized expressions whose line, indentation included,
+ * fits in maxLineWidth. These blocks are formatted on a single line, unlike longer parenthized
  * expressions where open-parenthesis causes newline and increase of indentation.
  */
 export default class InlineBlock {
-    constructor() {
+    /**
+     * @param {Number} maxLineWidth Maximum line width, default is 200
+     */
+    constructor(maxLineWidth) {
+        this.maxLineWidth = maxLineWidth || DEFAULT_MAX_LINE_WIDTH;
         this.level = 0;
     }
 
     /**
      * Begins inline block when lookahead through upcoming tokens determines
-     * that the block would be smaller than INLINE_MAX_LENGTH.
+     * that the line of the block would not be wider than maxLineWidth.
      * @param  {Object[]} tokens Array of all tokens
      * @param  {Number} index Current token position
+     * @param  {Number} column Column of the opening parenthesis, indentation included
+     * @param  {Boolean} isWindowSpec True for the parentheses of "over (...)" and "window w as (...)"
      */
-    beginIfPossible(tokens, index) {
-        if (this.level === 0 && this.isInlineBlock(tokens, index)) {
+    beginIfPossible(tokens, index, column, isWindowSpec) {
+        if (this.level === 0 && this.isInlineBlock(tokens, index, column, isWindowSpec)) {
             this.level = 1;
         }
         else if (this.level > 0) {
@@ -50,16 +56,16 @@ export default class InlineBlock {
 
     // Check if this should be an inline parentheses block
     // Examples are "NOW()", "COUNT(*)", "int(10)", key(`somecolumn`), DECIMAL(7,2)
-    isInlineBlock(tokens, index) {
-        let length = 0;
+    isInlineBlock(tokens, index, column, isWindowSpec) {
+        let length = column;
         let level = 0;
 
         for (let i = index; i < tokens.length; i++) {
             const token = tokens[i];
-            length += token.value.length;
+            length += this.tokenLength(token);
 
             // Overran max length
-            if (length > INLINE_MAX_LENGTH) {
+            if (length > this.maxLineWidth) {
                 return false;
             }
 
@@ -69,23 +75,54 @@ export default class InlineBlock {
             else if (token.type === tokenTypes.CLOSE_PAREN) {
                 level--;
                 if (level === 0) {
-                    return true;
+                    return this.isRestOfLineFitting(tokens, i + 1, length);
                 }
             }
 
-            if (this.isForbiddenToken(token)) {
+            if (this.isForbiddenToken(token, isWindowSpec && level === 1)) {
                 return false;
             }
         }
         return false;
     }
 
+    // The line goes on after the block up to the next comma or line break, like "nvl(a, 0) as b,"
+    isRestOfLineFitting(tokens, index, length) {
+        for (let i = index; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.value === ",") {
+                length++;
+                break;
+            }
+            if (
+                this.isForbiddenToken(token) ||
+                token.type === tokenTypes.RESERVED_TOPLEVEL_INLINE ||
+                token.type === tokenTypes.UNION_WORDS ||
+                token.type === tokenTypes.OPEN_PAREN ||
+                token.type === tokenTypes.CLOSE_PAREN
+            ) {
+                break;
+            }
+            length += this.tokenLength(token);
+        }
+        return length <= this.maxLineWidth;
+    }
+
+    // Whitespace is squeezed to a single space
+    tokenLength(token) {
+        return token.type === tokenTypes.WHITESPACE ? 1 : token.value.length;
+    }
+
     // Reserved words that cause newlines, comments and semicolons
-    // are not allowed inside inline parentheses block
-    isForbiddenToken({type, value}) {
+    // are not allowed inside inline parentheses block.
+    // Window specifications may keep "partition by", "order by" and "between ... and" inline.
+    isForbiddenToken({type, value}, isWindowSpec) {
+        if (isWindowSpec && (type === tokenTypes.RESERVED_TOPLEVEL || type === tokenTypes.RESERVED_NEWLINE)) {
+            return false;
+        }
         return type === tokenTypes.RESERVED_TOPLEVEL ||
             type === tokenTypes.RESERVED_NEWLINE ||
-            type === tokenTypes.COMMENT ||
+            type === tokenTypes.LINE_COMMENT ||
             type === tokenTypes.BLOCK_COMMENT ||
             value === ";";
     }
@@ -0,0 +1,229 @@
+import trimEnd from 'lodash/trimEnd'
+import tokenTypes from './tokenTypes'
+import getPragma from './pragma'
+import { DEFAULT_MAX_LINE_WIDTH } from './InlineBlock'
+import { LINE_STATEMENT_REGEX } from './StatementSplitter'
+
+// Operators a long expression may be broken before
+const BREAKABLE_OPERATORS = [
+    '+',
+    '-',
+    '*',
+    '/',
+    '%',
+    '||',
+    '=',
+    '==',
+    '!=',
+    '<>',
+    '<',
+    '>',
+    '<=',
+    '>=',
+]
+
+/**
+ * Printer pass that enforces the maximum line width on a formatted query.
+ *
+ * Lines wider than maxLineWidth are broken after commas, after opening parentheses
+ * of function arguments and before operators. The parts after a break get
+ * the indentation of the line plus one more indent.
+ * Lines within sql-formatter-off and sql-formatter-ignore-next regions are not wrapped.
+ */
+export default class LineWrapper {
+    /**
+     * @param {Object} cfg
+     *   @param {String} cfg.indent
+     *   @param {Number} cfg.maxLineWidth
+     * @param {Tokenizer} tokenizer
+     */
+    constructor(cfg, tokenizer) {
+        this.indent = cfg.indent || '  '
+        this.maxLineWidth = cfg.maxLineWidth || DEFAULT_MAX_LINE_WIDTH
+        this.tokenizer = tokenizer
+    }
+
+    /**
+     * Wraps the lines of a formatted query that are wider than maxLineWidth.
+     *
+     * @param {String} query The formatted query
+     * @return {String} query with wrapped lines
+     */
+    wrap(query) {
+        let verbatimUntil = null
+        // Whether the next code starts a statement, like in Formatter.isStatementStart
+        let isStatementStart = true
+        return this.getLines(query)
+            .map((line) => {
+                // Lines with a part of a region are copied as they are
+                let isVerbatim = verbatimUntil !== null
+                const startsStatement = isStatementStart
+                line.tokens.forEach((token) => {
+                    if (
+                        token.type !== tokenTypes.WHITESPACE &&
+                        token.type !== tokenTypes.LINE_COMMENT &&
+                        token.type !== tokenTypes.BLOCK_COMMENT
+                    ) {
+                        isStatementStart = token.value === ';'
+                    }
+                    const pragma = getPragma(token)
+                    if (verbatimUntil === null && pragma === 'off') {
+                        verbatimUntil = 'on'
+                    } else if (
+                        verbatimUntil === null &&
+                        pragma === 'ignore-next'
+                    ) {
+                        verbatimUntil = ';'
+                    } else if (
+                        (verbatimUntil === 'on' && pragma === 'on') ||
+                        (verbatimUntil === ';' &&
+                            token.type === tokenTypes.OPERATOR &&
+                            token.value === ';')
+                    ) {
+                        verbatimUntil = null
+                    }
+                    isVerbatim = isVerbatim || verbatimUntil !== null
+                })
+                return isVerbatim
+                    ? this.joinLine(line)
+                    : this.wrapLine(line, startsStatement)
+            })
+            .join('')
+    }
+
+    // Groups tokens into lines, each line ends with its newline
+    getLines(query) {
+        const lines = []
+        let line = { indent: '', tokens: [], end: '' }
+
+        this.tokenizer.tokenize(query).forEach((token) => {
+            const newline = token.value.lastIndexOf('\n')
+            if (token.type === tokenTypes.WHITESPACE && newline !== -1) {
+                line.end = token.value.slice(0, newline + 1)
+                lines.push(line)
+                line = {
+                    indent: token.value.slice(newline + 1),
+                    tokens: [],
+                    end: '',
+                }
+            } else if (
+                token.type === tokenTypes.WHITESPACE &&
+                line.tokens.length === 0
+            ) {
+                line.indent += token.value
+            } else if (
+                token.type === tokenTypes.LINE_COMMENT &&
+                newline !== -1
+            ) {
+                line.tokens.push(
+                    Object.assign({}, token, {
+                        value: token.value.slice(0, newline),
+                    })
+                )
+                line.end = '\n'
+                lines.push(line)
+                line = { indent: '', tokens: [], end: '' }
+            } else {
+                line.tokens.push(token)
+            }
+        })
+        lines.push(line)
+        return lines
+    }
+
+    joinLine(line) {
+        return line.indent + line.tokens.map((t) => t.value).join('') + line.end
+    }
+
+    // "add jar x.jar" and "set a=b" statements stay on a single line,
+    // the set clause of an update does not
+    wrapLine(line, isStatementStart) {
+        const text = line.indent + line.tokens.map((t) => t.value).join('')
+        // A trailing line comment does not count, it stays where it is.
+        // Neither does the padding of aligned aliases, whitespace counts as one space
+        const code = trimEnd(
+            line.indent +
+                line.tokens
+                    .filter((t) => t.type !== tokenTypes.LINE_COMMENT)
+                    .map((t) =>
+                        t.type === tokenTypes.WHITESPACE ? ' ' : t.value
+                    )
+                    .join('')
+        )
+        if (
+            code.split('\n').every((l) => l.length <= this.maxLineWidth) ||
+            (isStatementStart && LINE_STATEMENT_REGEX.test(text.trim()))
+        ) {
+            return text + line.end
+        }
+
+        const continuationIndent = line.indent + this.indent
+        let wrapped = line.indent
+        let breakAt = null
+        let isBroken = false
+
+        line.tokens.forEach((token, index) => {
+            if (token.type === tokenTypes.WHITESPACE) {
+                wrapped += ' '
+                return
+            }
+            if (this.isBreakable(line.tokens, index)) {
+                breakAt = trimEnd(wrapped).length
+            }
+            wrapped += token.value
+
+            if (
+                token.type !== tokenTypes.LINE_COMMENT &&
+                this.currentColumn(wrapped) > this.maxLineWidth &&
+                breakAt !== null &&
+                breakAt >
+                    wrapped.lastIndexOf('\n') + 1 + continuationIndent.length
+            ) {
+                wrapped =
+                    wrapped.slice(0, breakAt) +
+                    '\n' +
+                    continuationIndent +
+                    wrapped.slice(breakAt).trim()
+                breakAt = null
+                isBroken = true
+            }
+        })
+        // A line without a place to break keeps its whitespace, the padding of aligned aliases too
+        return isBroken ? trimEnd(wrapped) + line.end : text + line.end
+    }
+
+    // A line may break before the token at index
+    isBreakable(tokens, index) {
+        const token = tokens[index]
+        const previous = this.previousNonWhitespaceToken(tokens, index)
+
+        // A trailing comment stays with the code before it
+        if (token.type === tokenTypes.LINE_COMMENT) {
+            return false
+        }
+        if (previous.value === ',') {
+            return true
+        }
+        if (previous.value === '(' && token.value !== ')') {
+            return true
+        }
+        return (
+            (token.type === tokenTypes.OPERATOR &&
+                BREAKABLE_OPERATORS.includes(token.value)) ||
+            token.type === tokenTypes.RESERVED_NEWLINE
+        )
+    }
+
+    previousNonWhitespaceToken(tokens, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (tokens[i].type !== tokenTypes.WHITESPACE) {
+                return tokens[i]
+            }
+        }
+        return {}
+    }
+
+    currentColumn(query) {
+        return query.length - query.lastIndexOf('\n') - 1
+    }
+}
@@ -4,9 +4,11 @@
 export default class Params {
     /**
      * @param {Object} params
+     * @param {Boolean} strict Throw when a placeholder has no matching param
      */
-    constructor(params) {
+    constructor(params, strict) {
         this.params = params;
+        this.strict = strict;
         this.index = 0;
     }
 
@@ -15,15 +17,18 @@ export default class Params {
      * @param {Object} token
      *   @param {String} token.key Placeholder key
      *   @param {String} token.value Placeholder value
-     * @return {String} param or token.value when params are missing
+     * @return {String} param or token.value when the param is missing
      */
     get({key, value}) {
-        if (!this.params) {
-            return value;
+        const params = this.params || {};
+        const param = key ? params[key] : params[this.index ++];
+
+        if (param !== undefined) {
+            return param;
         }
-        if (key) {
-            return this.params[key];
+        if (this.strict) {
+            throw new Error(`Missing param for placeholder ${value}`);
         }
-        return this.params[this.index ++];
+        return value;
     }
 }
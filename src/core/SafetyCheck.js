@@ -0,0 +1,145 @@
+import tokenTypes from './tokenTypes'
+import Params from './Params'
+import Variables from './Variables'
+
+const CASE_CHANGING_VALUES = ['lower', 'upper']
+
+/**
+ * Verifies that formatting changed nothing but whitespace and letter case.
+ *
+ * The formatted query is tokenized again and its tokens are compared to the tokens
+ * of the query with its placeholders and template variables substituted.
+ * Comments are compared apart from the code, as a line comment may trade places
+ * with the comma after it, and their inner whitespace is ignored.
+ */
+export default class SafetyCheck {
+    /**
+     * @param {Object} cfg
+     *   @param {Object} cfg.params
+     *   @param {Boolean} cfg.strictParams
+     *   @param {Object} cfg.variables
+     *   @param {String} cfg.identifierCase
+     *   @param {String} cfg.functionCase
+     * @param {Tokenizer} tokenizer
+     */
+    constructor(cfg, tokenizer) {
+        this.cfg = cfg
+        this.tokenizer = tokenizer
+        this.ignoreWordCase =
+            CASE_CHANGING_VALUES.includes(cfg.identifierCase) ||
+            CASE_CHANGING_VALUES.includes(cfg.functionCase)
+    }
+
+    /**
+     * Throws when the formatted query does not have the tokens of the query.
+     *
+     * @param {String} query The query before formatting
+     * @param {String} formattedQuery The query after formatting
+     */
+    verify(query, formattedQuery) {
+        const { text, segments } = this.substitute(query)
+        const expected = this.tokenizer.tokenize(text)
+        const actual = this.tokenizer.tokenize(formattedQuery)
+
+        const isComment = (token) =>
+            token.type === tokenTypes.LINE_COMMENT ||
+            token.type === tokenTypes.BLOCK_COMMENT
+        const isCode = (token) =>
+            token.type !== tokenTypes.WHITESPACE && !isComment(token)
+
+        this.compare(expected.filter(isCode), actual.filter(isCode), segments)
+        this.compare(
+            expected.filter(isComment),
+            actual.filter(isComment),
+            segments
+        )
+    }
+
+    // The query with params and variables replaced the way Formatter replaces them,
+    // and the segments that map its offsets back to the tokens of the query
+    substitute(query) {
+        const params = new Params(this.cfg.params, this.cfg.strictParams)
+        const variables = new Variables(this.cfg.variables)
+        const segments = []
+        let text = ''
+
+        this.tokenizer.tokenize(query).forEach((token) => {
+            segments.push({ start: text.length, token })
+            if (token.type === tokenTypes.PLACEHOLDER) {
+                text += params.get(token)
+            } else if (token.type === tokenTypes.TEMPLATE_VARIABLE) {
+                text += variables.get(token)
+            } else if (token.type === tokenTypes.STRING) {
+                text += variables.replaceInString(token.value)
+            } else {
+                text += token.value
+            }
+        })
+        return { text, segments }
+    }
+
+    compare(expectedTokens, actualTokens, segments) {
+        const length = Math.max(expectedTokens.length, actualTokens.length)
+
+        for (let i = 0; i < length; i++) {
+            const expected = expectedTokens[i]
+            const actual = actualTokens[i]
+            if (expected && actual && this.isSameToken(expected, actual)) {
+                continue
+            }
+
+            const source = expected
+                ? this.sourcePosition(expected, segments)
+                : 'the end of the query'
+            const position =
+                actual && `line ${actual.line}, column ${actual.column}`
+            const found = actual
+                ? `"${actual.value.trim()}" at ${position} of the formatted query`
+                : 'the end of the formatted query'
+            const wanted = expected ? `"${expected.value.trim()}"` : 'nothing'
+            throw new Error(
+                `Safety check failed: formatting changed the query at ${source}: expected ${wanted} but found ${found}`
+            )
+        }
+    }
+
+    isSameToken(expected, actual) {
+        if (
+            expected.type === tokenTypes.LINE_COMMENT ||
+            expected.type === tokenTypes.BLOCK_COMMENT
+        ) {
+            return (
+                expected.type === actual.type &&
+                expected.value.replace(/\s+/g, '') ===
+                    actual.value.replace(/\s+/g, '')
+            )
+        }
+        if (
+            expected.type === tokenTypes.STRING ||
+            expected.type === tokenTypes.HINT ||
+            (expected.type === tokenTypes.WORD && !this.ignoreWordCase)
+        ) {
+            return (
+                expected.type === actual.type && expected.value === actual.value
+            )
+        }
+        // Keywords like "GROUP  BY" may change their case and inner whitespace
+        const normalize = (value) => value.replace(/\s+/g, ' ').toUpperCase()
+        return (
+            expected.type === actual.type &&
+            normalize(expected.value) === normalize(actual.value)
+        )
+    }
+
+    // Line and column in the query before substitution
+    sourcePosition(token, segments) {
+        let segment = segments[0]
+        for (let i = 1; i < segments.length; i++) {
+            if (segments[i].start > token.start) {
+                break
+            }
+            segment = segments[i]
+        }
+        return `line ${segment.token.line}, column ${segment.token.column}`
+    }
+}
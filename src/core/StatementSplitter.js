@@ -0,0 +1,98 @@
+import tokenTypes from './tokenTypes'
+
+// Statements like "add jar x.jar" or "set a=b" may end at the end of their line without a semicolon
+export const LINE_STATEMENT_REGEX = /^(ADD\s+JAR|SET)\b/i
+
+/**
+ * Splits a script into its statements.
+ *
+ * Statements are separated by semicolons. Semicolons inside strings
+ * and comments are not separators, as they are part of those tokens.
+ */
+export default class StatementSplitter {
+    /**
+     * @param {Tokenizer} tokenizer
+     */
+    constructor(tokenizer) {
+        this.tokenizer = tokenizer
+    }
+
+    /**
+     * Splits a script into statements.
+     * Statements that contain nothing but comments are left out.
+     *
+     * @param {String} script The SQL script
+     * @return {Object[]} statements
+     *  @return {String} statement.text Statement without the closing semicolon
+     *  @return {Number} statement.start Offset of the first character in script
+     *  @return {Number} statement.end Offset after the last character in script
+     *  @return {Number} statement.startLine Line of the first character, starting from 1
+     *  @return {Number} statement.endLine Line of the last character, starting from 1
+     */
+    split(script) {
+        const statements = []
+        let statement = null
+
+        const endStatement = () => {
+            if (statement && statement.hasCode) {
+                statements.push({
+                    text: script.slice(statement.start, statement.end),
+                    start: statement.start,
+                    end: statement.end,
+                    startLine: statement.startLine,
+                    endLine: statement.endLine,
+                })
+            }
+            statement = null
+        }
+
+        this.tokenizer.tokenize(script).forEach((token) => {
+            if (token.value === ';' && token.type === tokenTypes.OPERATOR) {
+                endStatement()
+                return
+            }
+            if (token.type === tokenTypes.WHITESPACE) {
+                if (
+                    statement &&
+                    statement.isLineStatement &&
+                    token.value.includes('\n')
+                ) {
+                    endStatement()
+                }
+                return
+            }
+
+            const isComment =
+                token.type === tokenTypes.LINE_COMMENT ||
+                token.type === tokenTypes.BLOCK_COMMENT
+            if (!statement) {
+                statement = {
+                    start: token.start,
+                    startLine: token.line,
+                    hasCode: false,
+                }
+            }
+            if (!isComment && !statement.hasCode) {
+                statement.hasCode = true
+                statement.isLineStatement = LINE_STATEMENT_REGEX.test(
+                    script.slice(token.start, token.start + 64)
+                )
+            }
+            // Line comments include their newline, which is not part of the statement
+            const value = token.value.replace(/\s+$/, '')
+            statement.end = token.start + value.length
+            statement.endLine = token.line + (value.match(/\n/g) || []).length
+
+            if (
+                statement.isLineStatement &&
+                token.type === tokenTypes.LINE_COMMENT &&
+                value !== token.value
+            ) {
+                endStatement()
+            }
+        })
+        endStatement()
+
+        return statements
+    }
+}
@@ -0,0 +1,196 @@
+import tokenTypes from './tokenTypes'
+
+// Beyond this many inserted and removed tokens, the tokens that differ are replaced by a single edit
+const MAX_DIFFERENCES = 2000
+
+// Whether diagonal k with d differences continues diagonal k + 1, after an item only in b,
+// rather than diagonal k - 1, after an item only in a
+const isFromAbove = (previous, k, d) =>
+    k === -d || (k !== d && previous[k + d - 2] < previous[k + d])
+
+/**
+ * Computes the text edits that turn a query into its formatted version.
+ *
+ * Tokens of both versions are matched by their longest common subsequence,
+ * so statements the formatter left alone get no edits.
+ * A matched token gets an edit when its text or the whitespace in front of it changed,
+ * the unmatched tokens in between, if any, are replaced by a single edit.
+ */
+export default class TextEdits {
+    /**
+     * @param {Tokenizer} tokenizer
+     */
+    constructor(tokenizer) {
+        this.tokenizer = tokenizer
+    }
+
+    /**
+     * Returns the edits that turn query into formattedQuery.
+     *
+     * @param {String} query The query before formatting
+     * @param {String} formattedQuery The query after formatting
+     * @return {Object[]} edits, ordered and not overlapping
+     *  @return {Object} edit.range Start and end position in query, with 0-based line and character
+     *  @return {String} edit.newText Text that replaces the range
+     */
+    compute(query, formattedQuery) {
+        const lineStarts = this.getLineStarts(query)
+        const edits = []
+        let previous = { from: 0, to: 0 }
+
+        this.getMatchingOffsets(query, formattedQuery).forEach((offsets) => {
+            const newText = formattedQuery.slice(previous.to, offsets.to)
+            if (query.slice(previous.from, offsets.from) !== newText) {
+                edits.push({
+                    range: {
+                        start: this.getPosition(lineStarts, previous.from),
+                        end: this.getPosition(lineStarts, offsets.from),
+                    },
+                    newText,
+                })
+            }
+            previous = offsets
+        })
+        return edits
+    }
+
+    // Offsets in query and formattedQuery that are the same place in both,
+    // the start and end of each matched token and the end of both queries
+    getMatchingOffsets(query, formattedQuery) {
+        const isCode = (token) => token.type !== tokenTypes.WHITESPACE
+        const from = this.tokenizer.tokenize(query).filter(isCode)
+        const to = this.tokenizer.tokenize(formattedQuery).filter(isCode)
+
+        const offsets = []
+        this.matchTokens(from, to).forEach(([a, b]) => {
+            offsets.push({ from: a.start, to: b.start })
+            offsets.push({ from: a.end, to: b.end })
+        })
+        offsets.push({ from: query.length, to: formattedQuery.length })
+        return offsets
+    }
+
+    // Pairs of tokens of both versions that are the same token, in order.
+    // Tokens match when their type and their value, ignoring case, are the same,
+    // the longest common subsequence of both lists is matched
+    matchTokens(from, to) {
+        const isSame = (a, b) =>
+            a.type === b.type && a.value.toUpperCase() === b.value.toUpperCase()
+
+        let head = 0
+        while (
+            head < from.length &&
+            head < to.length &&
+            isSame(from[head], to[head])
+        ) {
+            head++
+        }
+        let tail = 0
+        while (
+            tail < from.length - head &&
+            tail < to.length - head &&
+            isSame(from[from.length - 1 - tail], to[to.length - 1 - tail])
+        ) {
+            tail++
+        }
+
+        const pairs = []
+        for (let i = 0; i < head; i++) {
+            pairs.push([from[i], to[i]])
+        }
+        this.diff(
+            from.slice(head, from.length - tail),
+            to.slice(head, to.length - tail),
+            isSame
+        ).forEach(([i, j]) => pairs.push([from[head + i], to[head + j]]))
+        for (let i = tail; i > 0; i--) {
+            pairs.push([from[from.length - i], to[to.length - i]])
+        }
+        return pairs
+    }
+
+    // Indexes of the items of a and b in their longest common subsequence,
+    // with the difference algorithm of Myers, fast when both are mostly the same
+    diff(a, b, isSame) {
+        const n = a.length
+        const m = b.length
+        // trace[d][k + d] is the furthest index in a reached on diagonal k with d differences
+        const trace = []
+        let end = null
+        for (let d = 0; d <= Math.min(n + m, MAX_DIFFERENCES) && !end; d++) {
+            const previous = trace[d - 1]
+            const furthest = new Int32Array(2 * d + 1)
+            for (let k = -d; k <= d && !end; k += 2) {
+                let x =
+                    d === 0
+                        ? 0
+                        : isFromAbove(previous, k, d)
+                        ? previous[k + d]
+                        : previous[k + d - 2] + 1
+                let y = x - k
+                while (x < n && y < m && isSame(a[x], b[y])) {
+                    x++
+                    y++
+                }
+                furthest[k + d] = x
+                if (x >= n && y >= m) {
+                    end = { x, y }
+                }
+            }
+            trace.push(furthest)
+        }
+        if (!end) {
+            return []
+        }
+
+        // Walks back from the end, collecting the items matched on the way
+        const pairs = []
+        let { x, y } = end
+        for (let d = trace.length - 1; d > 0; d--) {
+            const previous = trace[d - 1]
+            const k = x - y
+            const previousK = isFromAbove(previous, k, d) ? k + 1 : k - 1
+            const previousX = previous[previousK + d - 1]
+            const previousY = previousX - previousK
+            while (x > previousX && y > previousY) {
+                x--
+                y--
+                pairs.push([x, y])
+            }
+            x = previousX
+            y = previousY
+        }
+        while (x > 0 && y > 0) {
+            x--
+            y--
+            pairs.push([x, y])
+        }
+        return pairs.reverse()
+    }
+
+    // Offsets where the lines of a query start
+    getLineStarts(query) {
+        const lineStarts = [0]
+        for (let i = 0; i < query.length; i++) {
+            if (query[i] === '\n') {
+                lineStarts.push(i + 1)
+            }
+        }
+        return lineStarts
+    }
+
+    // Line and character of an offset, both starting from 0
+    getPosition(lineStarts, offset) {
+        let low = 0
+        let high = lineStarts.length - 1
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2)
+            if (lineStarts[middle] <= offset) {
+                low = middle
+            } else {
+                high = middle - 1
+            }
+        }
+        return { line: low, character: offset - lineStarts[low] }
+    }
+}
@@ -1,4 +1,5 @@
 import isEmpty from 'lodash/isEmpty'
+import last from 'lodash/last'
 import escapeRegExp from 'lodash/escapeRegExp'
 import tokenTypes from './tokenTypes'
 
@@ -24,6 +25,8 @@ export default class Tokenizer {
         this.OPERATOR_REGEX = /^(!=|<>|==|<=|>=|!<|!>|\|\||::|->>|->|~~\*|~~|!~~\*|!~~|~\*|!~\*|!~|.)/
 
         this.BLOCK_COMMENT_REGEX = /^(\/\*[^]*?(?:\*\/|$))/
+        this.HINT_REGEX = /^(\/\*\+[^]*?(?:\*\/|$))/
+        this.TEMPLATE_VARIABLE_REGEX = /^(\$\{[^}\n]*\})/
         this.LINE_COMMENT_REGEX = this.createLineCommentRegex(
             cfg.lineCommentTypes
         )
@@ -71,6 +74,9 @@ export default class Tokenizer {
     }
 
     createReservedWordRegex(reservedWords) {
+        if (isEmpty(reservedWords)) {
+            return false
+        }
         const reservedWordsPattern = reservedWords
             .join('|')
             .replace(/ /g, '\\s+')
@@ -131,16 +137,23 @@ export default class Tokenizer {
 
     /**
      * Takes a SQL string and breaks it into tokens.
-     * Each token is an object with type and value.
+     * Each token is an object with type, value and its position in the SQL string.
      *
      * @param {String} input The SQL string
      * @return {Object[]} tokens An array of tokens.
      *  @return {String} token.type
      *  @return {String} token.value
+     *  @return {Number} token.start Offset of the first character
+     *  @return {Number} token.end Offset after the last character
+     *  @return {Number} token.line Line of the first character, starting from 1
+     *  @return {Number} token.column Column of the first character, starting from 1
      */
     tokenize(input) {
         const tokens = []
         let token
+        let offset = 0
+        let line = 1
+        let column = 1
 
         // Keep processing the string until it is empty
         while (input.length) {
@@ -149,6 +162,19 @@ export default class Tokenizer {
             // Advance the string
             input = input.substring(token.value.length)
 
+            token.start = offset
+            token.end = offset + token.value.length
+            token.line = line
+            token.column = column
+
+            const lines = token.value.split('\n')
+            offset = token.end
+            line += lines.length - 1
+            column =
+                lines.length > 1
+                    ? last(lines).length + 1
+                    : column + token.value.length
+
             tokens.push(token)
         }
         return tokens
@@ -157,11 +183,13 @@ export default class Tokenizer {
     getNextToken(input, previousToken) {
         return (
             this.getWhitespaceToken(input) ||
+            this.getHintToken(input) ||
             this.getCommentToken(input) ||
+            this.getTemplateVariableToken(input) ||
             this.getStringToken(input) ||
             this.getOpenParenToken(input) ||
             this.getCloseParenToken(input) ||
-            // this.getPlaceholderToken(input) ||
+            this.getPlaceholderToken(input, previousToken) ||
             this.getNumberToken(input) ||
             this.getReservedWordToken(input, previousToken) ||
             this.getWordToken(input) ||
@@ -199,6 +227,24 @@ export default class Tokenizer {
         })
     }
 
+    // Optimizer hints, like /*+ BROADCAST(t) */
+    getHintToken(input) {
+        return this.getTokenOnFirstMatch({
+            input,
+            type: tokenTypes.HINT,
+            regex: this.HINT_REGEX,
+        })
+    }
+
+    // Hive and Spark variables, like ${var} or ${hiveconf:var}
+    getTemplateVariableToken(input) {
+        return this.getTokenOnFirstMatch({
+            input,
+            type: tokenTypes.TEMPLATE_VARIABLE,
+            regex: this.TEMPLATE_VARIABLE_REGEX,
+        })
+    }
+
     getStringToken(input) {
         return this.getTokenOnFirstMatch({
             input,
@@ -223,7 +269,12 @@ export default class Tokenizer {
         })
     }
 
-    getPlaceholderToken(input) {
+    getPlaceholderToken(input, previousToken) {
+        // A named placeholder cannot directly follow a word,
+        // this makes it so in "raw:owner", ":owner" is not a placeholder
+        if (previousToken && previousToken.type === tokenTypes.WORD) {
+            return this.getIndexedPlaceholderToken(input)
+        }
         return (
             this.getIdentNamedPlaceholderToken(input) ||
             this.getStringNamedPlaceholderToken(input) ||
@@ -310,8 +361,8 @@ export default class Tokenizer {
             this.getToplevelReservedToken(input) ||
             this.getToplevelInLineReservedToken(input) ||
             this.getNewlineReservedToken(input) ||
-            this.getPlainReservedToken(input) ||
-            this.getUnionWordsToken(input)
+            this.getUnionWordsToken(input) ||
+            this.getPlainReservedToken(input)
         )
     }
 
@@ -364,6 +415,9 @@ export default class Tokenizer {
     }
 
     getTokenOnFirstMatch({ input, type, regex }) {
+        if (!regex) {
+            return
+        }
         const matches = input.match(regex)
 
         if (matches) {
@@ -0,0 +1,41 @@
+/**
+ * Handles ${var} and ${namespace:var} template variable replacement with given values.
+ */
+export default class Variables {
+    /**
+     * @param {Object} variables Values by variable name, like "dt" or "hiveconf:dt"
+     */
+    constructor(variables) {
+        this.variables = variables || {};
+    }
+
+    /**
+     * Returns the value of a template variable.
+     * A namespaced variable like ${hiveconf:dt} is looked up as "hiveconf:dt" first and then as "dt".
+     * @param {Object} token
+     *   @param {String} token.value Template variable, like ${hiveconf:dt}
+     * @return {String} value or token.value when the variable has no value
+     */
+    get({value}) {
+        const name = value.slice(2, -1);
+        const shortName = name.slice(name.lastIndexOf(":") + 1);
+
+        if (this.variables[name] !== undefined) {
+            return String(this.variables[name]);
+        }
+        if (this.variables[shortName] !== undefined) {
+            return String(this.variables[shortName]);
+        }
+        return value;
+    }
+
+    /**
+     * Replaces the template variables within a string literal, like '${dt}'.
+     * Variables without a value stay as they are.
+     * @param {String} value String literal
+     * @return {String}
+     */
+    replaceInString(value) {
+        return value.replace(/\$\{[^}\n]*\}/g, (variable) => this.get({value: variable}));
+    }
+}
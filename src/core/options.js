@@ -0,0 +1,117 @@
+import isArray from 'lodash/isArray'
+import isBoolean from 'lodash/isBoolean'
+import isInteger from 'lodash/isInteger'
+import isPlainObject from 'lodash/isPlainObject'
+import isString from 'lodash/isString'
+
+const oneOf = (values) => ({
+    expected: `one of ${values.map((v) => `"${v}"`).join(', ')}`,
+    validate: (value) => values.includes(value),
+})
+
+/**
+ * Supported public options with the check their value has to pass.
+ */
+const optionTypes = {
+    language: {
+        expected: 'a string',
+        validate: isString,
+    },
+    indent: {
+        expected: 'a non-empty string of spaces and tabs',
+        validate: (value) => isString(value) && /^[ \t]+$/.test(value),
+    },
+    useTabs: {
+        expected: 'a boolean',
+        validate: isBoolean,
+    },
+    maxLineWidth: {
+        expected: 'a positive integer',
+        validate: (value) => isInteger(value) && value > 0,
+    },
+    wrapStyle: oneOf(['one-per-line', 'fill']),
+    commaPosition: oneOf(['trailing', 'leading', 'leading-aligned']),
+    alignAliases: {
+        expected: 'a boolean',
+        validate: isBoolean,
+    },
+    params: {
+        expected: 'an array or an object',
+        validate: (value) => isArray(value) || isPlainObject(value),
+    },
+    strictParams: {
+        expected: 'a boolean',
+        validate: isBoolean,
+    },
+    variables: {
+        expected: 'an object',
+        validate: isPlainObject,
+    },
+    keywordCase: oneOf(['lower', 'upper', 'preserve']),
+    identifierCase: oneOf(['preserve', 'lower', 'upper']),
+    functionCase: oneOf(['lower', 'upper', 'preserve']),
+    commentSpacing: oneOf(['normalize', 'preserve']),
+    trailingComments: oneOf(['same-line', 'above']),
+    keepCommentBlankLines: {
+        expected: 'a boolean',
+        validate: isBoolean,
+    },
+    linesBetweenQueries: {
+        expected: 'a non-negative integer',
+        validate: (value) => isInteger(value) && value >= 0,
+    },
+    preserveBlankLines: {
+        expected: 'a non-negative integer',
+        validate: (value) => isInteger(value) && value >= 0,
+    },
+    selfCheck: {
+        expected: 'a boolean',
+        validate: isBoolean,
+    },
+    safetyCheck: {
+        expected: 'a boolean',
+        validate: isBoolean,
+    },
+}
+
+/**
+ * Validates the options passed to format() and turns them into
+ * the cfg object read by Formatter.
+ *
+ * @param {Object} options Options of format() in sql-formatter.js, documented there
+ * @return {Object} cfg
+ */
+export default function normalizeOptions(options) {
+    if (options === undefined || options === null) {
+        return {}
+    }
+    if (!isPlainObject(options)) {
+        throw new Error('Options must be an object')
+    }
+
+    Object.keys(options).forEach((key) => {
+        const type = optionTypes[key]
+        if (!type) {
+            throw new Error(
+                `Unknown option "${key}". Supported options are: ${Object.keys(
+                    optionTypes
+                ).join(', ')}`
+            )
+        }
+        if (options[key] !== undefined && !type.validate(options[key])) {
+            throw new Error(
+                `Invalid value for option "${key}": expected ${type.expected}`
+            )
+        }
+    })
+
+    const cfg = Object.assign({}, options)
+    if (cfg.useTabs) {
+        if (cfg.indent !== undefined) {
+            throw new Error('Options "indent" and "useTabs" cannot be combined')
+        }
+        cfg.indent = '\t'
+    }
+    delete cfg.useTabs
+    return cfg
+}
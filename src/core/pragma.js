@@ -0,0 +1,19 @@
+import tokenTypes from './tokenTypes'
+
+// -- sql-formatter-off, -- sql-formatter-on and /* sql-formatter-ignore-next */
+const PRAGMA_REGEX =
+    /^(?:--|#|\/\*)\s*sql-formatter-(off|on|ignore-next)\s*(?:\*\/)?\s*$/i
+
+/**
+ * Returns the pragma of a comment token that turns formatting off or on.
+ *
+ * @param {Object} token
+ * @return {String} "off", "on", "ignore-next" or null when the token is no pragma
+ */
+export default function getPragma({ type, value }) {
+    if (type !== tokenTypes.LINE_COMMENT && type !== tokenTypes.BLOCK_COMMENT) {
+        return null
+    }
+    const match = value.match(PRAGMA_REGEX)
+    return match ? match[1].toLowerCase() : null
+}
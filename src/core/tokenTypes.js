@@ -16,5 +16,7 @@ export default {
     LINE_COMMENT: "line-comment",
     BLOCK_COMMENT: "block-comment",
     NUMBER: "number",
-    PLACEHOLDER: "placeholder"
+    PLACEHOLDER: "placeholder",
+    TEMPLATE_VARIABLE: "template-variable",
+    HINT: "hint"
 };
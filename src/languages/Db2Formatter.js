@@ -70,7 +70,7 @@ const reservedToplevelWords = [
     "LIMIT",
     "ORDER BY",
     "SELECT", "SET CURRENT SCHEMA", "SET SCHEMA", "SET",
-    "UNION ALL", "UPDATE",
+    "UPDATE",
     "VALUES",
     "WHERE"
 ];
@@ -85,6 +85,8 @@ const reservedNewlineWords = [
     "RIGHT JOIN", "RIGHT OUTER JOIN"
 ];
 
+const unionWords = ["UNION ALL", "UNION"];
+
 let tokenizer;
 
 export default class Db2Formatter {
@@ -102,11 +104,21 @@ export default class Db2Formatter {
      * @return {String} formatted string
      */
     format(query) {
+        return new Formatter(this.cfg, this.getTokenizer()).format(query);
+    }
+
+    /**
+     * Returns the Tokenizer that breaks a DB2 string into tokens
+     *
+     * @return {Tokenizer} tokenizer
+     */
+    getTokenizer() {
         if (!tokenizer) {
             tokenizer = new Tokenizer({
                 reservedWords,
                 reservedToplevelWords,
                 reservedNewlineWords,
+                unionWords,
                 stringTypes: [`""`, "''", "``", "[]"],
                 openParens: ["("],
                 closeParens: [")"],
@@ -116,6 +128,6 @@ export default class Db2Formatter {
                 specialWordChars: ["#", "@"]
             });
         }
-        return new Formatter(this.cfg, tokenizer).format(query);
+        return tokenizer;
     }
 }
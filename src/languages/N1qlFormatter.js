@@ -40,7 +40,7 @@ const reservedToplevelWords = [
     "ORDER BY",
     "PREPARE",
     "SELECT", "SET CURRENT SCHEMA", "SET SCHEMA", "SET",
-    "UNION ALL", "UNION", "UNNEST", "UPDATE", "UPSERT", "USE KEYS",
+    "UNNEST", "UPDATE", "UPSERT", "USE KEYS",
     "VALUES",
     "WHERE"
 ];
@@ -56,6 +56,8 @@ const reservedNewlineWords = [
     "XOR"
 ];
 
+const unionWords = ["UNION ALL", "UNION"];
+
 let tokenizer;
 
 export default class N1qlFormatter {
@@ -73,11 +75,21 @@ export default class N1qlFormatter {
      * @return {String} formatted string
      */
     format(query) {
+        return new Formatter(this.cfg, this.getTokenizer()).format(query);
+    }
+
+    /**
+     * Returns the Tokenizer that breaks a N1QL string into tokens
+     *
+     * @return {Tokenizer} tokenizer
+     */
+    getTokenizer() {
         if (!tokenizer) {
             tokenizer = new Tokenizer({
                 reservedWords,
                 reservedToplevelWords,
                 reservedNewlineWords,
+                unionWords,
                 stringTypes: [`""`, "''", "``"],
                 openParens: ["(", "[", "{"],
                 closeParens: [")", "]", "}"],
@@ -85,6 +97,6 @@ export default class N1qlFormatter {
                 lineCommentTypes: ["#", "--"]
             });
         }
-        return new Formatter(this.cfg, tokenizer).format(query);
+        return tokenizer;
     }
 }
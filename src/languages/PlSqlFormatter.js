@@ -8,12 +8,12 @@ const reservedWords = [
     "C", "CALL", "CALLING", "CASCADE", "CASE", "CHAR_BASE", "CHAR", "CHARACTER", "CHARSET", "CHARSETFORM", "CHARSETID",
     "CHECK", "CLOB_BASE", "CLONE", "CLOSE", "CLUSTER", "CLUSTERS", "COALESCE", "COLAUTH", "COLLECT", "COLUMNS", "COMMENT",
     "COMMIT", "COMMITTED", "COMPILED", "COMPRESS", "CONNECT", "CONSTANT", "CONSTRUCTOR", "CONTEXT", "CONTINUE", "CONVERT",
-    "COUNT", "CRASH", "CREATE", "CREDENTIAL", "CURRENT", "CURRVAL", "CURSOR", "CUSTOMDATUM",
+    "COUNT", "CRASH", "CREATE", "CREDENTIAL", "CURRENT ROW", "CURRENT", "CURRVAL", "CURSOR", "CUSTOMDATUM",
     "DANGLING", "DATA", "DATE_BASE", "DATE", "DAY", "DECIMAL", "DEFAULT", "DEFINE", "DELETE", "DESC",
     "DETERMINISTIC", "DIRECTORY", "DISTINCT", "DO", "DOUBLE", "DROP", "DURATION",
     "ELEMENT", "ELSIF", "EMPTY", "ESCAPE", "EXCEPTIONS", "EXCLUSIVE", "EXECUTE", "EXISTS",
     "EXIT", "EXTENDS", "EXTERNAL", "EXTRACT",
-    "FALSE", "FETCH", "FINAL", "FIRST", "FIXED", "FLOAT", "FOR", "FORALL", "FORCE", "FROM", "FUNCTION",
+    "FALSE", "FETCH", "FINAL", "FIRST", "FIXED", "FLOAT", "FOLLOWING", "FOR", "FORALL", "FORCE", "FROM", "FUNCTION",
     "GENERAL", "GOTO", "GRANT", "GROUP", "HASH", "HEAP", "HIDDEN", "HOUR",
     "IDENTIFIED", "IF", "IMMEDIATE", "IN", "INCLUDING", "INDEX", "INDEXES", "INDICATOR", "INDICES", "INFINITE",
     "INSTANTIABLE", "INT", "INTEGER", "INTERFACE", "INTERVAL", "INTO", "INVALIDATE", "IS", "ISOLATION",
@@ -25,20 +25,20 @@ const reservedWords = [
     "NOWAIT", "NULL", "NULLIF", "NUMBER_BASE", "NUMBER",
     "OBJECT", "OCICOLL", "OCIDATE", "OCIDATETIME", "OCIDURATION", "OCIINTERVAL", "OCILOBLOCATOR", "OCINUMBER", "OCIRAW",
     "OCIREF", "OCIREFCURSOR", "OCIROWID", "OCISTRING", "OCITYPE", "OF", "OLD", "ON", "ONLY", "OPAQUE", "OPEN", "OPERATOR",
-    "OPTION", "ORACLE", "ORADATA", "ORDER", "ORGANIZATION", "ORLANY", "ORLVARY", "OTHERS", "OUT", "OVERLAPS",
+    "OPTION", "ORACLE", "ORADATA", "ORDER", "ORGANIZATION", "ORLANY", "ORLVARY", "OTHERS", "OUT", "OVER", "OVERLAPS",
     "OVERRIDING",
     "PACKAGE", "PARALLEL_ENABLE", "PARAMETER", "PARAMETERS", "PARENT", "PARTITION", "PASCAL", "PCTFREE", "PIPE", "PIPELINED",
-    "PLS_INTEGER", "PLUGGABLE", "POSITIVE", "POSITIVEN", "PRAGMA", "PRECISION", "PRIOR", "PRIVATE", "PROCEDURE", "PUBLIC",
+    "PLS_INTEGER", "PLUGGABLE", "POSITIVE", "POSITIVEN", "PRAGMA", "PRECEDING", "PRECISION", "PRIOR", "PRIVATE", "PROCEDURE", "PUBLIC",
     "RAISE", "RANGE", "RAW", "READ", "REAL", "RECORD", "REF", "REFERENCE", "RELEASE", "RELIES_ON", "REM", "REMAINDER",
     "RENAME", "RESOURCE", "RESULT_CACHE", "RESULT", "RETURN", "RETURNING", "REVERSE", "REVOKE", "ROLLBACK", "ROW", "ROWID",
-    "ROWNUM", "ROWTYPE",
+    "ROWNUM", "ROWS", "ROWTYPE",
     "SAMPLE", "SAVE", "SAVEPOINT", "SB1", "SB2", "SB4", "SECOND", "SEGMENT", "SELF", "SEPARATE", "SEQUENCE",
     "SERIALIZABLE", "SHARE", "SHORT", "SIZE_T", "SIZE", "SMALLINT", "SOME", "SPACE", "SPARSE", "SQL", "SQLCODE",
     "SQLDATA", "SQLERRM", "SQLNAME", "SQLSTATE", "STANDARD", "START", "STATIC", "STDDEV", "STORED", "STRING", "STRUCT",
     "STYLE", "SUBMULTISET", "SUBPARTITION", "SUBSTITUTABLE", "SUBTYPE", "SUCCESSFUL", "SUM", "SYNONYM", "SYSDATE",
     "TABAUTH", "TABLE", "TDO", "THE", "THEN", "TIME", "TIMESTAMP", "TIMEZONE_ABBR", "TIMEZONE_HOUR", "TIMEZONE_MINUTE",
     "TIMEZONE_REGION", "TO", "TRAILING", "TRANSACTION", "TRANSACTIONAL", "TRIGGER", "TRUE", "TRUSTED", "TYPE",
-    "UB1", "UB2", "UB4", "UID", "UNDER", "UNIQUE", "UNPLUG", "UNSIGNED", "UNTRUSTED", "USE", "USER", "USING",
+    "UB1", "UB2", "UB4", "UID", "UNBOUNDED", "UNDER", "UNIQUE", "UNPLUG", "UNSIGNED", "UNTRUSTED", "USE", "USER", "USING",
     "VALIDATE", "VALIST", "VALUE", "VARCHAR", "VARCHAR2", "VARIABLE", "VARIANCE", "VARRAY", "VARYING", "VIEW", "VIEWS", "VOID",
     "WHENEVER", "WHILE", "WITH", "WORK", "WRAPPED", "WRITE",
     "YEAR",
@@ -59,7 +59,7 @@ const reservedToplevelWords = [
     "MODIFY",
     "ORDER BY",
     "SELECT", "SET CURRENT SCHEMA", "SET SCHEMA", "SET", "START WITH",
-    "UNION ALL", "UNION", "UPDATE",
+    "UPDATE",
     "VALUES",
     "WHERE"
 ];
@@ -72,11 +72,14 @@ const reservedNewlineWords = [
     "JOIN",
     "LEFT JOIN", "LEFT OUTER JOIN",
     "OR", "OUTER APPLY", "OUTER JOIN",
+    "PARTITION BY",
     "RIGHT JOIN", "RIGHT OUTER JOIN",
     "WHEN",
     "XOR"
 ];
 
+const unionWords = ["UNION ALL", "UNION"];
+
 let tokenizer;
 
 export default class PlSqlFormatter {
@@ -94,11 +97,21 @@ export default class PlSqlFormatter {
      * @return {String} formatted string
      */
     format(query) {
+        return new Formatter(this.cfg, this.getTokenizer()).format(query);
+    }
+
+    /**
+     * Returns the Tokenizer that breaks a PL/SQL string into tokens
+     *
+     * @return {Tokenizer} tokenizer
+     */
+    getTokenizer() {
         if (!tokenizer) {
             tokenizer = new Tokenizer({
                 reservedWords,
                 reservedToplevelWords,
                 reservedNewlineWords,
+                unionWords,
                 stringTypes: [`""`, "N''", "''", "``"],
                 openParens: ["(", "CASE"],
                 closeParens: [")", "END"],
@@ -108,6 +121,6 @@ export default class PlSqlFormatter {
                 specialWordChars: ["_", "$", "#", ".", "@"]
             });
         }
-        return new Formatter(this.cfg, tokenizer).format(query);
+        return tokenizer;
     }
 }
@@ -11,6 +11,7 @@ const reservedWords = [
     'charset',
     'comment',
     'contains',
+    'current row',
     'current_timestamp',
     'current_date',
     'count',
@@ -29,6 +30,7 @@ const reservedWords = [
     'explain',
     'fields',
     'file',
+    'following',
     'foreign',
     'full',
     'function',
@@ -62,8 +64,11 @@ const reservedWords = [
     'names',
     'now()',
     'null',
+    'over',
     'partition',
     'partitions',
+    'preceding',
+    'range',
     'regexp',
     'rename',
     'replace',
@@ -88,6 +93,7 @@ const reservedWords = [
     'type',
     'types',
     'uncommitted',
+    'unbounded',
     'unique',
     'unsigned',
     'usage',
@@ -96,6 +102,7 @@ const reservedWords = [
     'variables',
     'view',
     'when',
+    'window',
     'with',
 ]
 
@@ -140,6 +147,7 @@ const reservedNewlineWords = [
     'and',
     'or',
     'partitioned by',
+    'partition by',
     'row format',
     'fields terminated by',
     'lines terminated by',
@@ -173,7 +181,15 @@ export default class SparkSqlFormatter {
      * @return {String} formatted string
      */
     format(query) {
-        //
+        return new Formatter(this.cfg, this.getTokenizer()).format(query)
+    }
+
+    /**
+     * Returns the Tokenizer that breaks a SparkSQL string into tokens
+     *
+     * @return {Tokenizer} tokenizer
+     */
+    getTokenizer() {
         if (!tokenizer) {
             tokenizer = new Tokenizer({
                 reservedWords,
@@ -185,9 +201,10 @@ export default class SparkSqlFormatter {
                 openParens: ['(', 'CASE'],
                 closeParens: [')', 'END'],
                 indexedPlaceholderTypes: ['?'],
+                namedPlaceholderTypes: ['@', ':'],
                 lineCommentTypes: ['#', '--'],
             })
         }
-        return new Formatter(this.cfg, tokenizer).format(query)
+        return tokenizer
     }
 }
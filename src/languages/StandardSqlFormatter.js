@@ -7,12 +7,12 @@ const reservedWords = [
     "BACKUP", "BEGIN", "BETWEEN", "BINLOG", "BOTH",
     "CASCADE", "CASE", "CHANGE", "CHANGED", "CHARACTER SET", "CHARSET", "CHECK", "CHECKSUM", "COLLATE", "COLLATION", "COLUMN", "COLUMNS",
     "COMMENT", "COMMIT", "COMMITTED", "COMPRESSED", "CONCURRENT", "CONSTRAINT", "CONTAINS", "CONVERT", "CREATE", "CROSS",
-    "CURRENT_TIMESTAMP",
+    "CURRENT ROW", "CURRENT_TIMESTAMP",
     "DATABASE", "DATABASES", "DAY", "DAY_HOUR", "DAY_MINUTE", "DAY_SECOND", "DEFAULT", "DEFINER", "DELAYED", "DELETE", "DESC", "DESCRIBE",
     "DETERMINISTIC", "DISTINCT", "DISTINCTROW", "DIV", "DO", "DROP", "DUMPFILE", "DUPLICATE", "DYNAMIC",
     "ELSE", "ENCLOSED", "END", "ENGINE", "ENGINES", "ENGINE_TYPE", "ESCAPE", "ESCAPED", "EVENTS", "EXEC", "EXECUTE", "EXISTS", "EXPLAIN",
     "EXTENDED",
-    "FAST", "FETCH", "FIELDS", "FILE", "FIRST", "FIXED", "FLUSH", "FOR", "FORCE", "FOREIGN", "FULL", "FULLTEXT", "FUNCTION",
+    "FAST", "FETCH", "FIELDS", "FILE", "FIRST", "FIXED", "FLUSH", "FOLLOWING", "FOR", "FORCE", "FOREIGN", "FULL", "FULLTEXT", "FUNCTION",
     "GLOBAL", "GRANT", "GRANTS", "GROUP_CONCAT",
     "HEAP", "HIGH_PRIORITY", "HOSTS", "HOUR", "HOUR_MINUTE", "HOUR_SECOND",
     "IDENTIFIED", "IF", "IFNULL", "IGNORE", "IN", "INDEX", "INDEXES", "INFILE", "INSERT", "INSERT_ID", "INSERT_METHOD", "INTERVAL",
@@ -23,8 +23,8 @@ const reservedWords = [
     "MAX_QUERIES_PER_HOUR", "MAX_ROWS", "MAX_UPDATES_PER_HOUR", "MAX_USER_CONNECTIONS", "MEDIUM", "MERGE", "MINUTE", "MINUTE_SECOND",
     "MIN_ROWS", "MODE", "MODIFY", "MONTH", "MRG_MYISAM", "MYISAM",
     "NAMES", "NATURAL", "NOT", "NOW()", "NULL",
-    "OFFSET", "ON DELETE", "ON UPDATE", "ON", "ONLY", "OPEN", "OPTIMIZE", "OPTION", "OPTIONALLY", "OUTFILE",
-    "PACK_KEYS", "PAGE", "PARTIAL", "PARTITION", "PARTITIONS", "PASSWORD", "PRIMARY", "PRIVILEGES", "PROCEDURE", "PROCESS", "PROCESSLIST",
+    "OFFSET", "ON DELETE", "ON UPDATE", "ON", "ONLY", "OPEN", "OPTIMIZE", "OPTION", "OPTIONALLY", "OUTFILE", "OVER",
+    "PACK_KEYS", "PAGE", "PARTIAL", "PARTITION", "PARTITIONS", "PASSWORD", "PRECEDING", "PRIMARY", "PRIVILEGES", "PROCEDURE", "PROCESS", "PROCESSLIST",
     "PURGE",
     "QUICK",
     "RAID0", "RAID_CHUNKS", "RAID_CHUNKSIZE", "RAID_TYPE", "RANGE", "READ", "READ_ONLY", "READ_WRITE", "REFERENCES", "REGEXP", "RELOAD",
@@ -36,7 +36,7 @@ const reservedWords = [
     "SQL_QUOTE_SHOW_CREATE", "SQL_SAFE_UPDATES", "SQL_SELECT_LIMIT", "SQL_SLAVE_SKIP_COUNTER", "SQL_SMALL_RESULT", "SQL_WARNINGS",
     "START", "STARTING", "STATUS", "STOP", "STORAGE", "STRAIGHT_JOIN", "STRING", "STRIPED", "SUPER",
     "TABLE", "TABLES", "TEMPORARY", "TERMINATED", "THEN", "TO", "TRAILING", "TRANSACTIONAL", "TRUE", "TRUNCATE", "TYPE", "TYPES",
-    "UNCOMMITTED", "UNIQUE", "UNLOCK", "UNSIGNED", "USAGE", "USE", "USING",
+    "UNBOUNDED", "UNCOMMITTED", "UNIQUE", "UNLOCK", "UNSIGNED", "USAGE", "USE", "USING",
     "VARIABLES", "VIEW", "WHEN", "WITH", "WORK", "WRITE",
     "YEAR_MONTH"
 ];
@@ -51,25 +51,30 @@ const reservedToplevelWords = [
     "LIMIT",
     "MODIFY",
     "ORDER BY",
-    "SET CURRENT SCHEMA", "SET SCHEMA", "SET",
-    "UNION ALL", "UNION", "UPDATE",
+    "SELECT", "SET CURRENT SCHEMA", "SET SCHEMA", "SET",
+    "UPDATE",
     "VALUES",
     "WHERE"
 ];
 
+const reservedToplevelInLineWords = ["FROM"];
+
 const reservedNewlineWords = [
-    "SELECT", "AND", "FROM",
+    "AND",
     "CROSS APPLY", "CROSS JOIN",
     "ELSE",
     "INNER JOIN",
     "JOIN",
     "LEFT JOIN", "LEFT OUTER JOIN",
     "OR", "OUTER APPLY", "OUTER JOIN",
+    "PARTITION BY",
     "RIGHT JOIN", "RIGHT OUTER JOIN",
     "WHEN",
     "XOR"
 ];
 
+const unionWords = ["UNION ALL", "UNION"];
+
 let tokenizer;
 
 export default class StandardSqlFormatter {
@@ -87,11 +92,22 @@ export default class StandardSqlFormatter {
      * @return {String} formatted string
      */
     format(query) {
+        return new Formatter(this.cfg, this.getTokenizer()).format(query);
+    }
+
+    /**
+     * Returns the Tokenizer that breaks a Standard SQL string into tokens
+     *
+     * @return {Tokenizer} tokenizer
+     */
+    getTokenizer() {
         if (!tokenizer) {
             tokenizer = new Tokenizer({
                 reservedWords,
                 reservedToplevelWords,
                 reservedNewlineWords,
+                reservedToplevelInLineWords,
+                unionWords,
                 stringTypes: [`""`, "N''", "''", "``", "[]"],
                 openParens: ["(", "CASE"],
                 closeParens: [")", "END"],
@@ -100,6 +116,6 @@ export default class StandardSqlFormatter {
                 lineCommentTypes: ["#", "--"]
             });
         }
-        return new Formatter(this.cfg, tokenizer).format(query);
+        return tokenizer;
     }
 }
@@ -1,7 +1,228 @@
+import isInteger from 'lodash/isInteger'
+import Db2Formatter from './languages/Db2Formatter.js'
+import N1qlFormatter from './languages/N1qlFormatter.js'
+import PlSqlFormatter from './languages/PlSqlFormatter.js'
 import SparkSqlFormatter from './languages/SparkSqlFormatter.js'
+import StandardSqlFormatter from './languages/StandardSqlFormatter.js'
+import StatementSplitter from './core/StatementSplitter.js'
+import TextEdits from './core/TextEdits.js'
+import normalizeOptions from './core/options.js'
+import tokenTypes from './core/tokenTypes.js'
 
+/**
+ * Creates the formatter of the SQL dialect named in cfg.language.
+ * Spark SQL is used when no language is given.
+ *
+ * @param {Object} cfg
+ *  @param {String} cfg.language Query language, default is Spark SQL
+ * @return {Object} language formatter
+ */
+const createFormatter = (cfg) => {
+    switch (cfg.language) {
+        case 'db2':
+            return new Db2Formatter(cfg)
+        case 'n1ql':
+            return new N1qlFormatter(cfg)
+        case 'pl/sql':
+            return new PlSqlFormatter(cfg)
+        case 'spark':
+        case undefined:
+            return new SparkSqlFormatter(cfg)
+        case 'sql':
+            return new StandardSqlFormatter(cfg)
+        default:
+            throw new Error(`Unsupported SQL dialect: ${cfg.language}`)
+    }
+}
+
+/**
+ * Formats a query, and formats the result once more when cfg.selfCheck is set
+ * to make sure the output is stable.
+ *
+ * @param {String} query
+ * @param {Object} cfg
+ * @return {String} formatted query
+ */
+const formatQuery = (query, cfg) => {
+    const formatted = createFormatter(cfg).format(query)
+    if (cfg.selfCheck) {
+        // Params and variables are already substituted in the formatted query
+        const recheckCfg = Object.assign({}, cfg, {
+            params: undefined,
+            strictParams: false,
+            variables: undefined,
+        })
+        if (createFormatter(recheckCfg).format(formatted) !== formatted) {
+            throw new Error(
+                'Self check failed: formatting the formatted query again changes it'
+            )
+        }
+    }
+    return formatted
+}
+
+/**
+ * Formats the statements of a script that overlap a range.
+ * The range grows to whole statements, a closing semicolon stays out of it.
+ *
+ * @param {String} script
+ * @param {Object} range Offsets in script, an empty range selects the statement at its start
+ *  @param {Number} range.start
+ *  @param {Number} range.end
+ * @param {Object} cfg
+ * @return {Object} the formatted text and the range of script it replaces
+ */
+const formatRange = (script, { start, end }, cfg) => {
+    if (
+        !isInteger(start) ||
+        !isInteger(end) ||
+        start < 0 ||
+        start > end ||
+        end > script.length
+    ) {
+        throw new Error(
+            `Invalid range ${start}-${end}: expected offsets with start <= end <= ${script.length}`
+        )
+    }
+
+    const statements = new StatementSplitter(
+        createFormatter(cfg).getTokenizer()
+    )
+        .split(script)
+        .filter((statement) =>
+            start === end
+                ? statement.start <= start && start <= statement.end
+                : statement.start < end && start < statement.end
+        )
+    if (statements.length === 0) {
+        return { text: '', range: { start, end: start } }
+    }
+
+    const range = {
+        start: statements[0].start,
+        end: statements[statements.length - 1].end,
+    }
+    // Lines after the first one get the indentation of the line the range starts on
+    const lineStart = script.lastIndexOf('\n', range.start - 1) + 1
+    const indent = script.slice(lineStart, range.start).match(/^[ \t]*/)[0]
+    const text = formatQuery(script.slice(range.start, range.end), cfg)
+        .split('\n')
+        .map((line, index) => (index > 0 && line ? indent + line : line))
+        .join('\n')
+
+    return { text, range }
+}
+
+// In Node.js, lib/node.js adds resolveConfig() and isIgnored() for the .sqlformatterrc
+// and .sqlformatterignore files above a file, this module stays free of fs for browsers
 export default {
-    format: (query) => {
-        return new SparkSqlFormatter({}).format(query)
+    /**
+     * Format whitespaces in a query to make it easier to read.
+     *
+     * @param {String} query
+     * @param {Object} options
+     *  @param {String} options.language Query language, default is Spark SQL
+     *  @param {String} options.indent Indent value, default is "  " (2 spaces)
+     *  @param {Boolean} options.useTabs Indent with a tab instead of options.indent
+     *  @param {Number} options.maxLineWidth Lines and parenthesized blocks wider than this are wrapped, default is 200
+     *  @param {Boolean} options.alignAliases Line up the AS keywords of column aliases in a SELECT list
+     *  @param {String} options.commaPosition "trailing" (default), "leading" or "leading-aligned"
+     *  @param {String} options.wrapStyle Wrapped blocks put "one-per-line" (default) item or "fill" each line
+     *  @param {Object|Array} options.params Values for the query placeholders
+     *  @param {Boolean} options.strictParams Throw when a placeholder has no matching param
+     *  @param {Object} options.variables Values for the ${var} template variables, also replaced within strings
+     *  @param {String} options.keywordCase "lower" (default), "upper" or "preserve"
+     *  @param {String} options.identifierCase "preserve" (default), "lower" or "upper"
+     *  @param {String} options.functionCase "lower", "upper" or "preserve",
+     *    built-in functions follow options.keywordCase and other functions are kept by default
+     *  @param {String} options.commentSpacing "normalize" (default) adds a space after comment markers, "preserve" keeps comments as they are
+     *  @param {String} options.trailingComments "same-line" (default) or "above" the code they follow
+     *  @param {Boolean} options.keepCommentBlankLines Keep blank lines between comments
+     *  @param {Number} options.linesBetweenQueries Blank lines between statements, default is 1
+     *  @param {Number} options.preserveBlankLines Most blank lines kept from the query within a statement, default is 0
+     *  @param {Boolean} options.selfCheck Throw when formatting the result again would change it
+     *  @param {Boolean} options.safetyCheck Throw when formatting changed more than whitespace and letter case
+     * @return {String}
+     */
+    format: (query, options) => formatQuery(query, normalizeOptions(options)),
+
+    /**
+     * Check whether a query is already formatted.
+     * A single trailing newline, as files usually end with one, is allowed.
+     *
+     * @param {String} query
+     * @param {Object} options Same options as format()
+     * @return {Boolean} true when formatting would not change the query
+     */
+    check: (query, options) => {
+        const formatted = formatQuery(query, normalizeOptions(options))
+        return query === formatted || query === formatted + '\n'
     },
+
+    /**
+     * Format the statements of a script that overlap a range, like the selection in an editor.
+     *
+     * @param {String} script
+     * @param {Object} range Offsets in script, an empty range selects the statement at its start
+     *  @param {Number} range.start
+     *  @param {Number} range.end
+     * @param {Object} options Same options as format()
+     * @return {Object} result
+     *  @return {String} result.text Formatted statements
+     *  @return {Object} result.range Offsets of the statements in script, replace them by result.text
+     */
+    formatRange: (script, range, options) =>
+        formatRange(script, range, normalizeOptions(options)),
+
+    /**
+     * Format a script and return the changes as text edits, like a Language Server Protocol
+     * formatting provider does. A trailing newline of the script is kept.
+     *
+     * @param {String} script
+     * @param {Object} options Same options as format()
+     * @return {Object[]} edits, ordered and not overlapping
+     *  @return {Object} edit.range Start and end {line, character} in script, both starting from 0
+     *  @return {String} edit.newText Text that replaces the range
+     */
+    formatEdits: (script, options) => {
+        const cfg = normalizeOptions(options)
+        const formatter = createFormatter(cfg)
+        const formatted =
+            formatQuery(script, cfg) + (/\n\s*$/.test(script) ? '\n' : '')
+        return new TextEdits(formatter.getTokenizer()).compute(
+            script,
+            formatted
+        )
+    },
+
+    /**
+     * Split a script into its statements.
+     *
+     * @param {String} script
+     * @param {Object} options
+     *  @param {String} options.language Query language, default is Spark SQL
+     * @return {Object[]} statements with their text, start/end offsets and start/end lines
+     */
+    split: (script, options) => {
+        const tokenizer = createFormatter(
+            normalizeOptions(options)
+        ).getTokenizer()
+        return new StatementSplitter(tokenizer).split(script)
+    },
+
+    /**
+     * Break a query into its tokens.
+     *
+     * @param {String} query
+     * @param {Object} options
+     *  @param {String} options.language Query language, default is Spark SQL
+     * @return {Object[]} tokens with their type, value, start/end offsets, line and column
+     */
+    tokenize: (query, options) => {
+        return createFormatter(normalizeOptions(options))
+            .getTokenizer()
+            .tokenize(query)
+    },
+
+    tokenTypes,
 }